@@ -0,0 +1,275 @@
+// Batch validation: checks every record of a JSON array or NDJSON export against one schema and
+// aggregates the outcome. The same file runs as the Web Worker (see the bottom) and, where workers
+// are unavailable, on the page itself.
+
+const BATCH_PROGRESS_EVERY = 250;
+const BATCH_TOP_COUNT = 8;
+const BATCH_TABLE_LIMIT = 200;
+
+// `[{ index, line, value }]`, with `parseError` instead of `value` for NDJSON lines that are not
+// JSON. A whole-text JSON array gives one record per item and any other JSON value a single record;
+// everything else is read as NDJSON, one record per non-blank line.
+function parseBatchRecords(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map((value, index) => ({ index, line: null, value }));
+  } catch (error) {
+    if (trimmed.startsWith("[")) throw new Error(`Invalid JSON array: ${error.message}`);
+  }
+
+  const records = [];
+  text.split(/\r?\n/).forEach((source, lineIndex) => {
+    if (!source.trim()) return;
+    const record = { index: records.length, line: lineIndex + 1 };
+    try {
+      record.value = JSON.parse(source);
+    } catch (error) {
+      record.parseError = error.message;
+    }
+    records.push(record);
+  });
+  return records;
+}
+
+// Validates each record with `ExJoi.validate` and resolves to the summary from `summarizeBatch`.
+// `onProgress(done, total)` is called every few hundred records.
+async function runBatchValidation(text, schema, convert, onProgress = () => {}) {
+  const started = performance.now();
+  const records = parseBatchRecords(text);
+  const results = [];
+  for (const [position, record] of records.entries()) {
+    if (position && position % BATCH_PROGRESS_EVERY === 0) onProgress(position, records.length);
+    if ("parseError" in record) {
+      results.push({ ...record, errors: [], ms: 0 });
+      continue;
+    }
+
+    const recordStarted = performance.now();
+    // The default builder keeps the error tree `listErrors` reads, whatever the playground configured.
+    let result = ExJoi.validate(record.value, schema, { convert, errorBuilder: defaultErrorBuilder });
+    if (result instanceof Promise) result = await result;
+    results.push({ ...record, errors: result.status === "ok" ? [] : listErrors(result.errors), ms: performance.now() - recordStarted });
+  }
+  onProgress(records.length, records.length);
+  return summarizeBatch(results, performance.now() - started);
+}
+
+// Counts, the most frequent codes and paths (array indexes folded into `*`), per-record timing
+// and every failing record with its errors.
+function summarizeBatch(results, elapsedMs) {
+  const codes = new Map();
+  const paths = new Map();
+  const failures = [];
+  let passed = 0;
+  let unparsable = 0;
+
+  results.forEach((result) => {
+    if ("parseError" in result) {
+      unparsable += 1;
+      failures.push(result);
+      return;
+    }
+    if (!result.errors.length) {
+      passed += 1;
+      return;
+    }
+    failures.push(result);
+    result.errors.forEach((error) => {
+      tallyBatchError(codes, error.code, result.index);
+      tallyBatchError(paths, error.path.replace(/(^|\.)\d+(?=\.|$)/g, "$1*"), result.index);
+    });
+  });
+
+  const timings = results.filter((result) => !("parseError" in result)).map((result) => result.ms);
+  const sorted = [...timings].sort((left, right) => left - right);
+  const slowest = results.reduce((best, result) => (!best || result.ms > best.ms ? result : best), null);
+
+  return {
+    total: results.length,
+    passed,
+    failed: failures.length - unparsable,
+    unparsable,
+    elapsedMs,
+    timing: {
+      mean: sorted.length ? sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length : 0,
+      p95: percentile(sorted, 0.95),
+      max: sorted.length ? sorted[sorted.length - 1] : 0,
+      slowest: slowest && sorted.length ? slowest.index : null,
+    },
+    codes: topBatchEntries(codes),
+    paths: topBatchEntries(paths),
+    failures,
+  };
+}
+
+function tallyBatchError(tally, key, recordIndex) {
+  const entry = tally.get(key) || { key, occurrences: 0, records: new Set() };
+  entry.occurrences += 1;
+  entry.records.add(recordIndex);
+  tally.set(key, entry);
+}
+
+// `{ key, occurrences, records }` sorted by occurrences, where `records` counts distinct records.
+function topBatchEntries(tally) {
+  return [...tally.values()]
+    .map((entry) => ({ key: entry.key, occurrences: entry.occurrences, records: entry.records.size }))
+    .sort((left, right) => right.occurrences - left.occurrences || left.key.localeCompare(right.key))
+    .slice(0, BATCH_TOP_COUNT);
+}
+
+function percentile(sorted, fraction) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function formatBatchMs(ms) {
+  return ms >= 100 ? `${Math.round(ms)} ms` : `${ms.toFixed(ms >= 1 ? 2 : 3)} ms`;
+}
+
+// Renders the stats, top codes and paths, and a failure table filtered by free text or code.
+// `onOpen(failure)` is called from a row's "Open in sandbox" button.
+function renderBatchSummary(container, summary, onOpen) {
+  const { timing } = summary;
+  const stats = [
+    ["Records", summary.total],
+    ["Passed", summary.passed],
+    ["Failed", summary.failed],
+    ["Not JSON", summary.unparsable],
+    ["Total time", formatBatchMs(summary.elapsedMs)],
+    ["Mean / record", formatBatchMs(timing.mean)],
+    ["p95 / record", formatBatchMs(timing.p95)],
+    ["Slowest", timing.slowest === null ? "–" : `${formatBatchMs(timing.max)} (#${timing.slowest})`],
+  ];
+
+  container.innerHTML = `
+    <div class="grid grid-cols-2 gap-3 sm:grid-cols-4" data-role="stats"></div>
+    <div class="playground-grid">
+      <div><p class="text-sm text-slate-400 mb-2">Most frequent error codes</p><ul class="space-y-1 text-xs" data-role="codes"></ul></div>
+      <div><p class="text-sm text-slate-400 mb-2">Most frequent error paths</p><ul class="space-y-1 text-xs" data-role="paths"></ul></div>
+    </div>
+    <div class="flex flex-wrap items-center gap-3">
+      <input type="search" data-role="filter" placeholder="Filter by path, message or record #" class="flex-1 rounded-2xl border border-slate-700 bg-slate-950/60 px-3 py-2 text-sm" />
+      <select data-role="code" class="rounded-2xl border border-slate-700 bg-slate-950/60 p-2 text-sm"><option value="">All codes</option></select>
+    </div>
+    <p class="text-xs text-slate-500" data-role="count"></p>
+    <div class="max-h-[32rem] overflow-auto rounded-2xl border border-slate-800">
+      <table class="w-full text-left text-xs">
+        <thead class="sticky top-0 bg-slate-900 text-slate-400">
+          <tr><th class="px-3 py-2">Record</th><th class="px-3 py-2">Errors</th><th class="px-3 py-2">Time</th><th class="px-3 py-2"></th></tr>
+        </thead>
+        <tbody data-role="rows"></tbody>
+      </table>
+    </div>
+  `;
+  const part = (role) => container.querySelector(`[data-role="${role}"]`);
+  const filterInput = part("filter");
+  const codeSelect = part("code");
+
+  part("stats").replaceChildren(
+    ...stats.map(([label, value]) => {
+      const card = document.createElement("div");
+      card.className = "rounded-2xl border border-slate-800 bg-slate-950/60 p-3";
+      card.innerHTML = `<p class="text-xs text-slate-500"></p><p class="text-lg font-semibold text-slate-100"></p>`;
+      card.children[0].textContent = label;
+      card.children[1].textContent = value;
+      return card;
+    })
+  );
+
+  // Clicking a code or path narrows the table to it.
+  const topList = (list, entries, label, apply) => {
+    if (!entries.length) {
+      list.innerHTML = `<li class="text-slate-500">None</li>`;
+      return;
+    }
+    list.replaceChildren(
+      ...entries.map((entry) => {
+        const item = document.createElement("li");
+        item.innerHTML = `<button type="button" class="flex w-full justify-between gap-3 rounded-xl border border-slate-800 px-3 py-1.5 text-left hover:bg-slate-800"><span class="font-mono text-slate-200"></span><span class="text-slate-500"></span></button>`;
+        const [key, count] = item.querySelectorAll("span");
+        key.textContent = label(entry.key);
+        count.textContent = `${entry.occurrences}× in ${entry.records} record${entry.records === 1 ? "" : "s"}`;
+        item.querySelector("button").addEventListener("click", () => {
+          apply(entry.key);
+          refresh();
+        });
+        return item;
+      })
+    );
+  };
+  topList(part("codes"), summary.codes, (code) => `:${code}`, (code) => {
+    codeSelect.value = code;
+  });
+  topList(part("paths"), summary.paths, (path) => path, (path) => {
+    filterInput.value = path;
+  });
+
+  const allCodes = [...new Set(summary.failures.flatMap((failure) => failure.errors.map((error) => error.code)))].sort();
+  allCodes.forEach((code) => codeSelect.add(new Option(`:${code}`, code)));
+
+  filterInput.addEventListener("input", refresh);
+  codeSelect.addEventListener("change", refresh);
+  refresh();
+
+  function refresh() {
+    const query = filterInput.value.trim().toLowerCase();
+    // A path filter like `contacts.*.email` also matches concrete indexes.
+    const pathPattern = new RegExp(query.split("*").map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\d+"));
+    const matches = summary.failures.filter((failure) => {
+      if (codeSelect.value && !failure.errors.some((error) => error.code === codeSelect.value)) return false;
+      if (!query) return true;
+      if (`#${failure.index}` === query || String(failure.index) === query) return true;
+      if ("parseError" in failure) return failure.parseError.toLowerCase().includes(query);
+      return failure.errors.some((error) => pathPattern.test(error.path.toLowerCase()) || error.message.toLowerCase().includes(query));
+    });
+
+    part("count").textContent = summary.failures.length
+      ? `${matches.length} of ${summary.failures.length} failing records${matches.length > BATCH_TABLE_LIMIT ? `, showing the first ${BATCH_TABLE_LIMIT}` : ""}.`
+      : "Every record passed.";
+    part("rows").replaceChildren(...matches.slice(0, BATCH_TABLE_LIMIT).map(buildRow));
+  }
+
+  function buildRow(failure) {
+    const row = document.createElement("tr");
+    row.className = "border-t border-slate-800 align-top";
+    row.innerHTML = `<td class="px-3 py-2 font-mono text-slate-300"></td><td class="px-3 py-2"><ul class="space-y-1"></ul></td><td class="px-3 py-2 text-slate-500 whitespace-nowrap"></td><td class="px-3 py-2"></td>`;
+    const [record, errors, time, action] = row.children;
+    record.textContent = `#${failure.index}${failure.line ? ` (line ${failure.line})` : ""}`;
+    time.textContent = "parseError" in failure ? "–" : formatBatchMs(failure.ms);
+
+    const entries = "parseError" in failure ? [{ path: "", code: null, message: `Not valid JSON: ${failure.parseError}` }] : failure.errors;
+    errors.firstChild.replaceChildren(...entries.map((error) => buildErrorListItem(error, "text-slate-300")));
+
+    if (!("parseError" in failure)) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200 hover:bg-slate-800 whitespace-nowrap";
+      button.textContent = "Open in sandbox";
+      button.addEventListener("click", () => onOpen(failure));
+      action.append(button);
+    }
+    return row;
+  }
+}
+
+// Worker entry: `importScripts` brings in the engine next to this file, and each message
+// `{ schemaSource, text, convert }` is answered with progress messages and then the summary.
+if (typeof importScripts === "function" && typeof document === "undefined") {
+  importScripts("engine.js", "dsl.js");
+  self.onmessage = (event) => {
+    const { schemaSource, text, convert } = event.data;
+    Promise.resolve()
+      .then(() =>
+        runBatchValidation(text, parseExJoiSchema(schemaSource), convert, (done, total) =>
+          self.postMessage({ type: "progress", done, total })
+        )
+      )
+      .then(
+        (summary) => self.postMessage({ type: "done", summary }),
+        (error) => self.postMessage({ type: "error", message: error.message })
+      );
+  };
+}
@@ -0,0 +1,336 @@
+// Code generated from a schema: TypeScript types for the payload and a standalone validator module
+// built from the engine's own functions, so both stay in step with `ExJoi.validate`, plus ExUnit
+// tests that pin down a sandbox case.
+
+// Engine functions copied verbatim into the validator module, in this order.
+const VALIDATOR_MODULE_FUNCTIONS = [
+  fetchFieldValue,
+  applyDefaults,
+  validateFields,
+  validateField,
+  validateValue,
+  validateObject,
+  validateArray,
+  resolveConditionalRule,
+  conditionMet,
+  checkIn,
+  termsEqual,
+  ensureString,
+  stringLength,
+  ensureNumber,
+  parseNumberFromString,
+  ensureBoolean,
+  normalizeBooleanValue,
+  ensureArray,
+  ensureDate,
+  parseIsoDateTime,
+  flattenErrors,
+  pathToString,
+  isPlainObject,
+];
+
+// Stand-ins for the engine functions that need the server: custom types and async checks pass
+// through, and messages stay ExJoi's defaults. test/parity.js runs the generated module against the
+// golden fixtures.
+const VALIDATOR_MODULE_STUBS = [
+  function validationError(code, message, meta = {}) {
+    return { code, message, meta };
+  },
+  function deferAsync(result) {
+    return result;
+  },
+  function validateCustom(value) {
+    return { ok: true, value };
+  },
+];
+
+// Options: `name` of the root type (default "Payload") and `dateType`, "string" for ISO8601
+// strings as sent over JSON or "Date" for values already parsed on the client.
+function generateTypeScript(schema, opts = {}) {
+  const declarations = [];
+  const ctx = { dateType: opts.dateType === "Date" ? "Date" : "string", declarations };
+  emitObjectType(schema, opts.name || "Payload", ctx);
+  return `${declarations.join("\n\n")}\n`;
+}
+
+// The declaration's slot is taken before its fields are walked, so parents come before the nested
+// types they refer to.
+function emitObjectType(schema, name, ctx) {
+  const slot = ctx.declarations.push("") - 1;
+  const members = [];
+  const unions = [];
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const typeName = `${name}${pascalCase(field)}`;
+    if (rule.type !== "conditional") {
+      members.push(formatTsMember(field, rule.required, ruleToTsType(rule, typeName, ctx), describeConstraints(rule, ctx)));
+      return;
+    }
+
+    const { field: other, checks, then, otherwise } = rule.conditional;
+    const literals = conditionLiterals(checks);
+    const thenType = ruleToTsType(then, typeName, ctx);
+    const otherwiseType = otherwise ? ruleToTsType(otherwise, `${typeName}Otherwise`, ctx) : "unknown";
+    const thenRequired = rule.required || then.required;
+    const otherwiseRequired = rule.required || Boolean(otherwise && otherwise.required);
+
+    // The otherwise member needs the sibling narrowed to the remaining values, or it would also accept
+    // the `then` ones. That takes a finite sibling type; for anything else the member is documented.
+    const siblingType = finiteTsType(schema.fields[other], ctx);
+    if (literals && siblingType) {
+      const selector = literals.join(" | ");
+      unions.push(
+        `  | { ${formatTsKey(other)}: ${selector}; ${formatTsKey(field)}${thenRequired ? "" : "?"}: ${thenType} }\n` +
+          `  | { ${formatTsKey(other)}?: Exclude<${siblingType}, ${selector}>; ${formatTsKey(field)}${otherwiseRequired ? "" : "?"}: ${otherwiseType} }`
+      );
+    } else {
+      members.push(
+        formatTsMember(field, thenRequired && otherwiseRequired, unionTsTypes([thenType, otherwiseType]), [
+          `when ${other} ${describeChecks(checks)}: ${thenType}, otherwise ${otherwiseType}`,
+        ])
+      );
+    }
+  });
+
+  const body = members.length ? `{\n${members.join("\n")}\n}` : "{}";
+  if (!unions.length) {
+    ctx.declarations[slot] = `export interface ${name} ${body}`;
+  } else {
+    const parts = unions.map((union) => `(\n${union}\n)`);
+    ctx.declarations[slot] = `export type ${name} = ${name}Base & ${parts.join(" & ")};\n\nexport interface ${name}Base ${body}`;
+  }
+  return name;
+}
+
+function ruleToTsType(rule, name, ctx) {
+  switch (rule.type) {
+    case "string": {
+      const choices = rule.pattern && !rule.pattern.flags.includes("i") ? patternChoices(rule.pattern) : null;
+      return choices ? choices.map((choice) => JSON.stringify(choice)).join(" | ") : "string";
+    }
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "date":
+      return ctx.dateType;
+    case "array": {
+      const item = rule.of ? ruleToTsType(rule.of, `${name}Item`, ctx) : "unknown";
+      return /[ |&]/.test(item) ? `Array<${item}>` : `${item}[]`;
+    }
+    case "object":
+      return rule.schema ? emitObjectType(rule.schema, name, ctx) : "unknown";
+    case "conditional": {
+      const { then, otherwise } = rule.conditional;
+      return unionTsTypes([ruleToTsType(then, name, ctx), otherwise ? ruleToTsType(otherwise, `${name}Otherwise`, ctx) : "unknown"]);
+    }
+    default:
+      return "unknown";
+  }
+}
+
+// The TypeScript type of a sibling rule when it is a finite set of literals, or null.
+function finiteTsType(rule, ctx) {
+  if (!rule || !["string", "boolean"].includes(rule.type)) return null;
+  const type = ruleToTsType(rule, "", ctx);
+  return type === "string" ? null : type;
+}
+
+function formatTsMember(field, required, type, notes) {
+  const doc = notes.length ? `  /** ${notes.join(", ")} */\n` : "";
+  return `${doc}  ${formatTsKey(field)}${required ? "" : "?"}: ${type};`;
+}
+
+function formatTsKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function unionTsTypes(types) {
+  return types.includes("unknown") ? "unknown" : [...new Set(types)].join(" | ");
+}
+
+// Only `is:` and `in:` with a list of scalars name the exact sibling values, which is what a
+// discriminated union needs; other checks fall back to a plain union of the branch types.
+function conditionLiterals(checks) {
+  const { is, matches, min, max } = checks;
+  if (matches !== null || min !== null || max !== null) return null;
+  if (is !== null && checks.in !== null) return null;
+
+  const values = is !== null ? [is] : Array.isArray(checks.in) ? checks.in : null;
+  if (!values || !values.every((value) => ["string", "number", "boolean"].includes(typeof value))) return null;
+  return values.map((value) => JSON.stringify(value));
+}
+
+function describeChecks(checks) {
+  const parts = [];
+  if (checks.is !== null) parts.push(`is ${JSON.stringify(checks.is)}`);
+  if (Array.isArray(checks.in)) parts.push(`in ${JSON.stringify(checks.in)}`);
+  if (checks.in && checks.in.kind === "range") parts.push(`in ${checks.in.first}..${checks.in.last}`);
+  if (checks.matches) parts.push(`matches ${checks.matches}`);
+  if (checks.min !== null) parts.push(`>= ${checks.min}`);
+  if (checks.max !== null) parts.push(`<= ${checks.max}`);
+  return parts.join(" and ");
+}
+
+function describeConstraints(rule, ctx) {
+  const notes = [];
+  if (rule.type === "string") {
+    if (rule.min != null) notes.push(`min length ${rule.min}`);
+    if (rule.max != null) notes.push(`max length ${rule.max}`);
+    if (rule.pattern && !rule.pattern.flags.includes("i") && patternChoices(rule.pattern)) return notes;
+    if (rule.pattern) notes.push(`matches ${rule.pattern}`);
+    if (rule.email) notes.push("email");
+  } else if (rule.type === "number") {
+    if (rule.integer) notes.push("integer");
+    if (rule.min != null) notes.push(`>= ${rule.min}`);
+    if (rule.max != null) notes.push(`<= ${rule.max}`);
+  } else if (rule.type === "array") {
+    if (rule.minItems != null) notes.push(`min ${rule.minItems} items`);
+    if (rule.maxItems != null) notes.push(`max ${rule.maxItems} items`);
+    if (rule.unique) notes.push("unique items");
+  } else if (rule.type === "date" && ctx.dateType === "string") {
+    notes.push("ISO8601 date-time");
+  } else if (rule.type === "custom") {
+    notes.push(`custom type :${rule.customType}`);
+  }
+  return notes;
+}
+
+function pascalCase(text) {
+  return String(text)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+}
+
+// An ES module exporting `validate(data, { convert })`, which returns `{ ok: true, value }` or
+// `{ ok: false, errors_flat }`. Custom types and async checks need the server, so they pass through.
+function generateValidatorModule(schema) {
+  return [
+    "// Generated by the ExJoi playground. Mirrors ExJoi.validate/3 for one schema and reports",
+    "// failures in the errors_flat shape. Custom types and async checks only run on the server.",
+    "",
+    `const SCHEMA = ${formatJsLiteral(schema, "")};`,
+    "",
+    "export function validate(data, opts = {}) {",
+    "  if (!isPlainObject(data)) return { ok: false, errors_flat: { _schema: [\"data must be a map\"] } };",
+    "  const { errors, value } = validateFields(data, SCHEMA, { convert: Boolean(opts.convert), pending: [] });",
+    "  return Object.keys(errors).length ? { ok: false, errors_flat: flattenErrors(errors) } : { ok: true, value };",
+    "}",
+    "",
+    `const DEFAULT_TRUTHY = ${formatJsLiteral(DEFAULT_TRUTHY, "")};`,
+    `const DEFAULT_FALSY = ${formatJsLiteral(DEFAULT_FALSY, "")};`,
+    `const EMAIL_REGEX = ${EMAIL_REGEX};`,
+    `const ISO8601_DATETIME = ${ISO8601_DATETIME};`,
+    "",
+    // The stubs sit one level deep in their array literal.
+    [...VALIDATOR_MODULE_STUBS.map((fn) => fn.toString().replace(/\n {2}/g, "\n")), ...VALIDATOR_MODULE_FUNCTIONS.map(String)].join("\n\n"),
+    "",
+  ].join("\n");
+}
+
+// JS source for schema data: like JSON, plus regex literals; functions (async checks) are dropped.
+function formatJsLiteral(value, indent) {
+  if (value instanceof RegExp) return String(value);
+  if (value === null || typeof value !== "object") return JSON.stringify(value) ?? "undefined";
+
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (!value.length) return "[]";
+    return `[\n${value.map((item) => `${inner}${formatJsLiteral(item, inner)}`).join(",\n")}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value).filter(([, item]) => typeof item !== "function" && item !== undefined);
+  if (!entries.length) return "{}";
+  return `{\n${entries.map(([key, item]) => `${inner}${formatTsKey(key)}: ${formatJsLiteral(item, inner)}`).join(",\n")}\n${indent}}`;
+}
+
+// Resolves to an ExUnit `test` block that validates `payload` (as string-keyed params) against `schema`
+// and asserts the outcome the engine gives with ExJoi's default messages, which is what `ExJoi.Config.reset!/0`
+// leaves in place for the test. Whether a custom type accepts its value is up to the validator
+// registered on the server, so the paths holding such values are left out of the assertion.
+async function generateExUnitTest(schema, payload, convert, name = null) {
+  const result = await ExJoi.validate(payload, schema, {
+    convert,
+    errorBuilder: defaultErrorBuilder,
+    messageTranslator: defaultMessageTranslator,
+  });
+
+  const customPaths = isPlainObject(payload) ? collectCustomPaths(payload, schema) : [];
+  const flat = result.status === "ok" ? {} : { ...result.errors_flat };
+  customPaths.forEach((path) => delete flat[path]);
+  const paths = Object.keys(flat);
+  const title =
+    name ||
+    (paths.length
+      ? `rejects the sandbox payload on ${paths.slice(0, 3).join(", ")}${paths.length > 3 ? ", ..." : ""}`
+      : `${customPaths.length ? "validates" : "accepts"} the sandbox payload`);
+  const call = `ExJoi.validate(params, schema, convert: ${convert})`;
+
+  let assertions;
+  if (customPaths.length) {
+    const typeNames = [...new Set(collectCustomTypes(schema))].map((typeName) => `:${typeName}`).join(", ");
+    assertions = [
+      `  # Register ${typeNames} with ExJoi.Config.register_type/2 first. Errors at the paths holding`,
+      "  # custom-typed values depend on those validators, so they are dropped before comparing.",
+      "  errors_flat =",
+      `    case ${call} do`,
+      "      {:ok, _data} -> %{}",
+      "      {:error, %{errors_flat: errors_flat}} -> errors_flat",
+      "    end",
+      "",
+      `  assert Map.drop(errors_flat, ${formatElixirParams(customPaths, "  ")}) == ${formatElixirParams(flat, "  ")}`,
+    ];
+  } else if (paths.length) {
+    assertions = [`  assert {:error, %{errors_flat: errors_flat}} = ${call}`, `  assert errors_flat == ${formatElixirParams(flat, "  ")}`];
+  } else {
+    assertions = [`  assert {:ok, _data} = ${call}`];
+  }
+
+  return [
+    `test ${formatElixirString(title)} do`,
+    `  schema = ${formatExJoiSchema(schema).replace(/\n/g, "\n  ")}`,
+    "",
+    `  params = ${formatElixirParams(payload, "  ")}`,
+    "",
+    ...assertions,
+    "end",
+    "",
+  ].join("\n");
+}
+
+// `errors_flat` paths of the payload values that a custom type validates, resolving `when` branches
+// and splitting array strings the way validation does.
+function collectCustomPaths(data, schema, prefix = [], paths = []) {
+  const output = applyDefaults(data, schema.defaults);
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const effectiveRule = rule.type === "conditional" ? resolveConditionalRule(rule.conditional, output) : rule;
+    const fetched = fetchFieldValue(output, field);
+    if (effectiveRule && !fetched.missing) collectCustomValuePaths(fetched.value, effectiveRule, [...prefix, field], paths);
+  });
+  return paths;
+}
+
+function collectCustomValuePaths(value, rule, path, paths) {
+  if (rule.type === "custom") {
+    paths.push(pathToString(path));
+  } else if (rule.type === "object" && rule.schema && isPlainObject(value)) {
+    collectCustomPaths(value, rule.schema, path, paths);
+  } else if (rule.type === "array" && rule.of) {
+    const cast = ensureArray(value, rule);
+    if (cast.ok) cast.value.forEach((item, index) => collectCustomValuePaths(item, rule.of, [...path, index], paths));
+  }
+}
+
+function collectCustomTypes(schema) {
+  const fromRule = (rule) => {
+    if (!rule) return [];
+    if (rule.type === "custom") return [rule.customType];
+    if (rule.type === "object") return rule.schema ? collectCustomTypes(rule.schema) : [];
+    if (rule.type === "array") return fromRule(rule.of);
+    if (rule.type === "conditional") return [...fromRule(rule.conditional.then), ...fromRule(rule.conditional.otherwise)];
+    return [];
+  };
+  return Object.values(schema.fields).flatMap(fromRule);
+}
@@ -5,18 +5,132 @@ function getCurrentPage() {
   return path;
 }
 
+// The one list of docs pages. Header and sidebar links, page titles, breadcrumbs and the
+// previous/next footer links are all rendered from it, in this order.
+const NAV_PAGES = [
+  { page: "index.html", title: "Overview", icon: "M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" },
+  { page: "quickstart.html", title: "Quick Start", icon: "M13 10V3L4 14h7v7l9-11h-7z" },
+  { page: "convert-mode.html", title: "Convert Mode", headerLabel: "Convert", icon: "M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" },
+  { page: "conditional-rules.html", title: "Conditional Rules", headerLabel: "Conditionals", icon: "M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" },
+  { page: "custom-validators.html", title: "Custom Validators", headerLabel: "Custom", icon: "M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" },
+  { page: "error-tree.html", title: "Error Tree", headerLabel: "Errors", icon: "M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" },
+  { page: "async-validation.html", title: "Async Validation", headerLabel: "Async", icon: "M13 10V3L4 14h7v7l9-11h-7z" },
+  { page: "playground.html", title: "Playground", sidebarLabel: "Live Playground", icon: "M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" },
+];
+
+// Release described by this copy of the docs. Snapshots of older releases keep their own value,
+// while DOC_VERSIONS (versions.js) always lists every release.
+const DOCS_VERSION = "0.9.0";
+
 function getPageTitle(path) {
-  const titles = {
-    "index.html": "Overview",
-    "quickstart.html": "Quick Start",
-    "convert-mode.html": "Convert Mode",
-    "conditional-rules.html": "Conditional Rules",
-    "custom-validators.html": "Custom Validators",
-    "error-tree.html": "Error Tree",
-    "async-validation.html": "Async Validation",
-    "playground.html": "Playground",
-  };
-  return titles[path] || "Documentation";
+  const entry = NAV_PAGES.find((navPage) => navPage.page === path);
+  return entry ? entry.title : "Documentation";
+}
+
+function getLatestVersion() {
+  return DOC_VERSIONS[0];
+}
+
+function getDocsVersion() {
+  return DOC_VERSIONS.find((entry) => entry.version === DOCS_VERSION) || { version: DOCS_VERSION, summary: "", site: "" };
+}
+
+function getHexDocsUrl(version) {
+  return `https://hexdocs.pm/exjoi/${version}`;
+}
+
+// The same page in another release's doc set, or that release's HexDocs when it has no doc set here.
+function getVersionDocsUrl(entry) {
+  if (entry.site === null) return getHexDocsUrl(entry.version);
+  return new URL(`${entry.site}${getCurrentPage()}`, DOC_VERSIONS_ROOT || window.location.href).href;
+}
+
+// Compares dotted versions numerically; "0.9" and "0.9.0" are equal.
+function compareVersions(left, right) {
+  const a = left.split(".").map(Number);
+  const b = right.split(".").map(Number);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Sections without an id get a slug of their title so search results and links can target them.
+// Only ids inside <main> are considered, which keeps the slugs identical for fetched copies of a page.
+function assignSectionAnchors(root) {
+  const used = new Set(Array.from(root.querySelectorAll("main [id]"), (el) => el.id));
+  root.querySelectorAll("main section").forEach((section) => {
+    if (section.id) return;
+    const heading = section.querySelector(".section-title, h1, h2");
+    const base = slugify(heading ? heading.textContent : "") || "section";
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    section.id = id;
+  });
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// Sub-entries for the sidebar: every anchored section with an <h2> heading, in page order.
+function getSectionEntries(root) {
+  return Array.from(root.querySelectorAll("main section[id]"))
+    .map((section) => ({ id: section.id, heading: section.querySelector("h2") }))
+    .filter((entry) => entry.heading)
+    .map((entry) => ({ id: entry.id, title: entry.heading.textContent.replace(/\s+/g, " ").trim() }));
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+// Nested `<ul>` for tree nodes with `children`; a node with children becomes an open <details>
+// whose <summary> holds its button. `renderNode(node)` returns `{ button, body }`, where the optional
+// `body` goes below the button, and clicking a button calls `onSelect(node)`.
+function buildCollapsibleTree(nodes, renderNode, onSelect) {
+  const list = document.createElement("ul");
+  list.className = "space-y-1";
+  nodes.forEach((node) => {
+    const item = document.createElement("li");
+    const { button, body = null } = renderNode(node);
+    button.addEventListener("click", (event) => {
+      // Keep the surrounding <summary> from collapsing; its marker still toggles the branch.
+      event.preventDefault();
+      onSelect(node);
+    });
+    const below = body ? [body] : [];
+
+    if (!node.children.length) {
+      item.append(button, ...below);
+    } else {
+      const details = document.createElement("details");
+      details.open = true;
+      const summary = document.createElement("summary");
+      summary.className = "cursor-pointer text-slate-500";
+      summary.append(button);
+      const children = buildCollapsibleTree(node.children, renderNode, onSelect);
+      children.classList.add("ml-2", "border-l", "border-slate-800", "pl-4");
+      details.append(summary, ...below, children);
+      item.append(details);
+    }
+    list.append(item);
+  });
+  return list;
+}
+
+// One `{ path, code, message }` error as a list item; `code` may be null.
+function buildErrorListItem(error, className) {
+  const item = document.createElement("li");
+  item.className = className;
+  item.innerHTML = `<span class="font-mono"></span> <span class="text-slate-500"></span> <span></span>`;
+  const [path, code, message] = item.children;
+  path.textContent = error.path;
+  code.textContent = error.code ? `:${error.code}` : "";
+  message.textContent = error.message;
+  return item;
 }
 
 function renderHeader() {
@@ -39,18 +153,21 @@ function renderHeader() {
           
           <div class="flex items-center space-x-4">
             <nav class="hidden md:flex items-center space-x-1">
-              <a href="index.html" data-nav="index.html" class="nav-link-header">Overview</a>
-              <a href="quickstart.html" data-nav="quickstart.html" class="nav-link-header">Quick Start</a>
-              <a href="convert-mode.html" data-nav="convert-mode.html" class="nav-link-header">Convert</a>
-              <a href="conditional-rules.html" data-nav="conditional-rules.html" class="nav-link-header">Conditionals</a>
-              <a href="custom-validators.html" data-nav="custom-validators.html" class="nav-link-header">Custom</a>
-              <a href="error-tree.html" data-nav="error-tree.html" class="nav-link-header">Errors</a>
-              <a href="async-validation.html" data-nav="async-validation.html" class="nav-link-header">Async</a>
-              <a href="playground.html" data-nav="playground.html" class="nav-link-header">Playground</a>
+              ${NAV_PAGES.map((entry) => `<a href="${entry.page}" data-nav="${entry.page}" class="nav-link-header">${entry.headerLabel || entry.title}</a>`).join("\n              ")}
             </nav>
             
             <div class="flex items-center space-x-3">
-              <a href="https://hexdocs.pm/exjoi/0.9.0" target="_blank" class="hidden sm:inline-flex items-center px-4 py-2 rounded-full bg-gradient-to-r from-sky-500 to-emerald-400 text-slate-950 font-semibold text-sm hover:shadow-lg hover:shadow-sky-500/30 transition-all">
+              <button id="search-open" type="button" title="Search the docs (/ or Ctrl+K)" class="inline-flex items-center space-x-2 px-3 py-2 rounded-full border border-slate-700 text-slate-400 text-sm hover:bg-slate-800 hover:border-slate-600 transition-all">
+                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+                </svg>
+                <span class="hidden sm:inline">Search</span>
+                <kbd class="hidden sm:inline rounded border border-slate-700 px-1.5 text-xs text-slate-500">/</kbd>
+              </button>
+              <select id="version-select" aria-label="Documentation version" class="hidden sm:block rounded-full border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-300 hover:border-slate-600">
+                ${DOC_VERSIONS.map((entry) => `<option value="${entry.version}"${entry.version === DOCS_VERSION ? " selected" : ""}>v${entry.version}${entry === getLatestVersion() ? " (latest)" : ""}</option>`).join("")}
+              </select>
+              <a href="${getHexDocsUrl(DOCS_VERSION)}" target="_blank" class="hidden sm:inline-flex items-center px-4 py-2 rounded-full bg-gradient-to-r from-sky-500 to-emerald-400 text-slate-950 font-semibold text-sm hover:shadow-lg hover:shadow-sky-500/30 transition-all">
                 HexDocs
               </a>
               <a href="https://github.com/abrshewube/ExJoi" target="_blank" class="hidden sm:inline-flex items-center px-4 py-2 rounded-full border border-slate-700 text-slate-300 font-semibold text-sm hover:bg-slate-800 hover:border-slate-600 transition-all">
@@ -75,6 +192,7 @@ function renderSidebar() {
   // We'll initialize properly in initSidebarToggle
   const savedState = localStorage.getItem('sidebar-open');
   const isOpen = savedState === 'true' || (savedState === null && typeof window !== 'undefined' && window.innerWidth >= 1024);
+  const sections = getSectionEntries(document);
   
   return `
     <aside id="sidebar" class="fixed inset-y-0 left-0 z-40 w-72 border-r border-slate-800 bg-slate-900/95 backdrop-blur-xl transform transition-transform duration-300 ease-in-out pt-16 ${isOpen ? 'translate-x-0' : '-translate-x-full'}">
@@ -95,54 +213,7 @@ function renderSidebar() {
         </div>
         
         <nav class="flex-1 overflow-y-auto p-6 space-y-1">
-          <a href="index.html" data-nav="index.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6"></path>
-            </svg>
-            <span>Overview</span>
-          </a>
-          <a href="quickstart.html" data-nav="quickstart.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
-            </svg>
-            <span>Quick Start</span>
-          </a>
-          <a href="convert-mode.html" data-nav="convert-mode.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"></path>
-            </svg>
-            <span>Convert Mode</span>
-          </a>
-          <a href="error-tree.html" data-nav="error-tree.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
-            </svg>
-            <span>Error Tree</span>
-          </a>
-          <a href="conditional-rules.html" data-nav="conditional-rules.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"></path>
-            </svg>
-            <span>Conditional Rules</span>
-          </a>
-          <a href="custom-validators.html" data-nav="custom-validators.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4"></path>
-            </svg>
-            <span>Custom Validators</span>
-          </a>
-          <a href="async-validation.html" data-nav="async-validation.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
-            </svg>
-            <span>Async Validation</span>
-          </a>
-          <a href="playground.html" data-nav="playground.html" class="sidebar-nav-link">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4"></path>
-            </svg>
-            <span>Live Playground</span>
-          </a>
+          ${NAV_PAGES.map((entry) => renderSidebarEntry(entry, entry.page === currentPage ? sections : [])).join("")}
         </nav>
       </div>
     </aside>
@@ -150,10 +221,72 @@ function renderSidebar() {
   `;
 }
 
+function renderSidebarEntry(entry, sections) {
+  const subnav = sections.length
+    ? `
+          <div class="ml-6 mt-1 mb-2">
+            ${sections.map((section) => `<a href="#${section.id}" data-section="${section.id}" class="sidebar-subnav-link">${escapeHtml(section.title)}</a>`).join("")}
+          </div>`
+    : "";
+  return `
+          <a href="${entry.page}" data-nav="${entry.page}" class="sidebar-nav-link">
+            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${entry.icon}"></path>
+            </svg>
+            <span>${entry.sidebarLabel || entry.title}</span>
+          </a>${subnav}`;
+}
+
+function renderBreadcrumb() {
+  const currentPage = getCurrentPage();
+  return `
+    <nav aria-label="Breadcrumb" class="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+      <a href="index.html" class="hover:text-sky-400 transition-colors">ExJoi docs</a>
+      <span>/</span>
+      <a href="${currentPage}" class="text-slate-300 hover:text-sky-400 transition-colors">${getPageTitle(currentPage)}</a>
+      <span id="breadcrumb-separator" class="hidden">/</span>
+      <span id="breadcrumb-section" class="text-sky-400"></span>
+    </nav>
+  `;
+}
+
+function renderVersionBanner() {
+  const latest = getLatestVersion();
+  if (compareVersions(DOCS_VERSION, latest.version) >= 0) return "";
+
+  return `
+    <div class="rounded-2xl border border-amber-500/40 bg-amber-500/10 px-5 py-3 text-sm text-amber-200">
+      You are reading the docs for ExJoi v${DOCS_VERSION}. The latest release is v${latest.version}.
+      <a href="${getVersionDocsUrl(latest)}" class="font-semibold underline hover:text-white">View this page for v${latest.version}</a>
+    </div>
+  `;
+}
+
+function renderPageLinks() {
+  const index = NAV_PAGES.findIndex((entry) => entry.page === getCurrentPage());
+  if (index === -1) return "";
+
+  const link = (entry, label, align) =>
+    entry
+      ? `<a href="${entry.page}" class="block rounded-2xl border border-slate-800 px-5 py-4 hover:border-slate-600 hover:bg-slate-800/40 transition-all ${align}">
+          <p class="text-xs text-slate-500">${label}</p>
+          <p class="font-semibold text-white">${entry.title}</p>
+        </a>`
+      : "<div></div>";
+
+  return `
+        <div class="grid grid-cols-2 gap-4 mb-8 pb-8 border-b border-slate-800">
+          ${link(NAV_PAGES[index - 1], "← Previous", "text-left")}
+          ${link(NAV_PAGES[index + 1], "Next →", "text-right")}
+        </div>
+  `;
+}
+
 function renderFooter() {
   return `
     <footer id="main-footer" class="border-t border-slate-800 bg-slate-900/50 backdrop-blur-sm">
       <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        ${renderPageLinks()}
         <div class="grid grid-cols-1 md:grid-cols-3 gap-8">
           <div>
             <div class="flex items-center space-x-3 mb-4">
@@ -171,7 +304,7 @@ function renderFooter() {
           <div>
             <h3 class="font-semibold text-white mb-4">Resources</h3>
             <ul class="space-y-2 text-sm">
-              <li><a href="https://hexdocs.pm/exjoi/0.9.0" target="_blank" class="text-slate-400 hover:text-sky-400 transition-colors">HexDocs</a></li>
+              <li><a href="${getHexDocsUrl(DOCS_VERSION)}" target="_blank" class="text-slate-400 hover:text-sky-400 transition-colors">HexDocs</a></li>
               <li><a href="https://github.com/abrshewube/ExJoi" target="_blank" class="text-slate-400 hover:text-sky-400 transition-colors">GitHub</a></li>
               <li><a href="index.html#roadmap" class="text-slate-400 hover:text-sky-400 transition-colors">Roadmap</a></li>
             </ul>
@@ -179,8 +312,8 @@ function renderFooter() {
           
           <div>
             <h3 class="font-semibold text-white mb-4">Version</h3>
-            <p class="text-sm text-slate-400 mb-2">Current: <span class="text-sky-400 font-semibold">v0.9.0</span></p>
-            <p class="text-xs text-slate-500">Async validation + parallel processing</p>
+            <p class="text-sm text-slate-400 mb-2">${DOCS_VERSION === getLatestVersion().version ? "Current" : "Reading"}: <span class="text-sky-400 font-semibold">v${DOCS_VERSION}</span></p>
+            <p class="text-xs text-slate-500">${getDocsVersion().summary}</p>
           </div>
         </div>
         
@@ -343,7 +476,7 @@ function initSidebarToggle() {
   sidebarOverlay?.addEventListener("click", closeSidebar);
   
   // Close sidebar when clicking a link on mobile
-  document.querySelectorAll(".sidebar-nav-link").forEach((link) => {
+  document.querySelectorAll(".sidebar-nav-link, .sidebar-subnav-link").forEach((link) => {
     link.addEventListener("click", () => {
       if (window.innerWidth < 1024) {
         closeSidebar();
@@ -369,6 +502,9 @@ function initSidebarToggle() {
 }
 
 function initCommonUI() {
+  // Anchors first: the sidebar lists the current page's sections by id
+  assignSectionAnchors(document);
+  
   // Inject header
   const headerPlaceholder = document.getElementById("common-header");
   if (headerPlaceholder) {
@@ -410,6 +546,24 @@ function initCommonUI() {
     footerPlaceholder.outerHTML = renderFooter();
   }
   
+  // Inject breadcrumb and, on an older release's docs, the version banner at the top of the page content
+  const main = document.querySelector("main");
+  if (main) {
+    main.insertAdjacentHTML("afterbegin", renderBreadcrumb() + renderVersionBanner());
+  }
+  
+  // Ids added after parsing are not scrolled to by the browser, so honour a deep link here
+  const hashTarget = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+  if (hashTarget) {
+    hashTarget.scrollIntoView();
+  }
+  
+  if (typeof initSearch === "function") {
+    initSearch();
+  }
+  
+  initVersionUI();
+  
   // Initialize sidebar toggle after injection
   setTimeout(() => {
     initSidebarToggle();
@@ -433,5 +587,53 @@ function enhanceNav() {
       link.classList.add("active");
     }
   });
+  
+  // Highlight the sub-section being read and mirror it in the breadcrumb
+  const subLinks = Array.from(document.querySelectorAll(".sidebar-subnav-link"));
+  const sections = subLinks.map((link) => document.getElementById(link.dataset.section)).filter(Boolean);
+  if (!sections.length) return;
+  
+  const breadcrumbSection = document.getElementById("breadcrumb-section");
+  const breadcrumbSeparator = document.getElementById("breadcrumb-separator");
+  let scheduled = false;
+  
+  function highlightActiveSection() {
+    scheduled = false;
+    const passed = sections.filter((section) => section.getBoundingClientRect().top <= 120);
+    const active = passed[passed.length - 1];
+    subLinks.forEach((link) => {
+      link.classList.toggle("active", Boolean(active) && link.dataset.section === active.id);
+    });
+    if (breadcrumbSection) {
+      const activeLink = active && subLinks.find((link) => link.dataset.section === active.id);
+      breadcrumbSection.textContent = activeLink ? activeLink.textContent : "";
+      breadcrumbSeparator?.classList.toggle("hidden", !activeLink);
+    }
+  }
+  
+  window.addEventListener("scroll", () => {
+    if (scheduled) return;
+    scheduled = true;
+    requestAnimationFrame(highlightActiveSection);
+  }, { passive: true });
+  highlightActiveSection();
 }
 
+function initVersionUI() {
+  const versionSelect = document.getElementById("version-select");
+  versionSelect?.addEventListener("change", () => {
+    const entry = DOC_VERSIONS.find((candidate) => candidate.version === versionSelect.value);
+    if (entry) {
+      window.location.href = getVersionDocsUrl(entry);
+    }
+  });
+  
+  // `data-since="0.9"` marks the release that introduced a feature
+  document.querySelectorAll("[data-since]").forEach((element) => {
+    const badge = document.createElement("span");
+    badge.className = "since-badge";
+    badge.textContent = `since v${element.dataset.since}`;
+    badge.title = `Added in ExJoi v${element.dataset.since}`;
+    element.appendChild(badge);
+  });
+}
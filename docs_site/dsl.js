@@ -0,0 +1,389 @@
+// Parser for the subset of the ExJoi Elixir DSL the in-browser engine understands
+
+const DSL_BUILDERS = ["schema", "string", "number", "boolean", "date", "object", "array", "when", "custom"];
+
+const REGEX_DELIMITERS = { "/": "/", "|": "|", '"': '"', "'": "'", "(": ")", "[": "]", "{": "}", "<": ">" };
+
+// Reads an `ExJoi.schema(%{...}, defaults: ...)` expression (optionally prefixed with `schema =`)
+// and returns the equivalent schema built with the JS `ExJoi` builders. A bare `field: rule, ...`
+// fragment is read as the fields of a schema. With `partial: true`, anything after the schema
+// expression (such as the `ExJoi.validate/2` calls in the docs samples) is ignored.
+function parseExJoiSchema(source, opts = {}) {
+  const parser = createDslParser(source);
+  const value = parser.parseProgram(Boolean(opts.partial));
+
+  if (isSchema(value)) return value;
+  if (isPlainObject(value) && !value.kind) return ExJoi.schema(value);
+  throw new Error("expected an ExJoi.schema(...) expression");
+}
+
+function createDslParser(source) {
+  let pos = 0;
+
+  function fail(message) {
+    const consumed = source.slice(0, pos).split("\n");
+    const line = consumed.length;
+    const column = consumed[consumed.length - 1].length + 1;
+    throw new Error(`${message} (line ${line}, column ${column})`);
+  }
+
+  function skipWhitespace() {
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === "#") {
+        while (pos < source.length && source[pos] !== "\n") pos++;
+      } else if (/\s/.test(char)) {
+        pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function peek(text) {
+    skipWhitespace();
+    return source.startsWith(text, pos);
+  }
+
+  function expect(text) {
+    if (!peek(text)) fail(`expected "${text}"`);
+    pos += text.length;
+  }
+
+  function accept(text) {
+    if (!peek(text)) return false;
+    pos += text.length;
+    return true;
+  }
+
+  function readIdentifier() {
+    skipWhitespace();
+    const match = /^[a-zA-Z_][a-zA-Z0-9_]*[?!]?/.exec(source.slice(pos));
+    if (!match) fail("expected an identifier");
+    pos += match[0].length;
+    return match[0];
+  }
+
+  // `key: value` keyword syntax: an identifier immediately followed by a colon and whitespace.
+  function atKeywordKey() {
+    skipWhitespace();
+    return /^[a-zA-Z_][a-zA-Z0-9_]*[?!]?:(\s|$)/.test(source.slice(pos));
+  }
+
+  function parseProgram(partial) {
+    skipWhitespace();
+    if (/^[a-z_][a-zA-Z0-9_]*\s*=[^=>]/.test(source.slice(pos))) {
+      readIdentifier();
+      expect("=");
+    }
+
+    const value = atKeywordKey() ? parseFieldFragment() : parseExpression();
+    skipWhitespace();
+    if (!partial && pos < source.length) fail("unexpected input after the schema expression");
+    return value;
+  }
+
+  function parseFieldFragment() {
+    const fields = {};
+    do {
+      if (!atKeywordKey()) break;
+      const key = readIdentifier();
+      expect(":");
+      fields[key] = parseExpression();
+    } while (accept(","));
+    return fields;
+  }
+
+  function parseExpression() {
+    skipWhitespace();
+    const char = source[pos];
+
+    if (char === undefined) fail("unexpected end of input");
+    if (source.startsWith("%{", pos)) return parseMap();
+    if (char === "[") return parseList();
+    if (char === '"') return parseString();
+    if (char === ":") return parseAtom();
+    if (source.startsWith("~r", pos)) return parseRegex();
+    if (/[-0-9]/.test(char)) return parseNumberOrRange();
+    if (source.startsWith("ExJoi.", pos)) return parseCall();
+
+    const word = readIdentifier();
+    if (word === "true") return true;
+    if (word === "false") return false;
+    if (word === "nil") return null;
+    return fail(`unsupported expression "${word}"`);
+  }
+
+  function parseMap() {
+    expect("%{");
+    const map = {};
+
+    while (!accept("}")) {
+      if (atKeywordKey()) {
+        const key = readIdentifier();
+        expect(":");
+        map[key] = parseExpression();
+      } else {
+        const key = parseExpression();
+        if (typeof key !== "string" && typeof key !== "number") fail("map keys must be atoms or strings");
+        expect("=>");
+        map[key] = parseExpression();
+      }
+      if (!accept(",")) {
+        expect("}");
+        break;
+      }
+    }
+
+    return map;
+  }
+
+  function parseList() {
+    expect("[");
+    if (atKeywordKey()) {
+      const keywords = parseKeywords();
+      expect("]");
+      return keywords;
+    }
+
+    const list = [];
+    while (!accept("]")) {
+      list.push(parseExpression());
+      if (!accept(",")) {
+        expect("]");
+        break;
+      }
+    }
+    return list;
+  }
+
+  // Keyword lists become option objects with camelCased keys (`min_items:` -> `minItems`).
+  function parseKeywords() {
+    const keywords = {};
+    do {
+      skipWhitespace();
+      if (!atKeywordKey()) break;
+      const key = readIdentifier();
+      expect(":");
+      keywords[camelizeOption(key)] = parseExpression();
+    } while (accept(","));
+    return keywords;
+  }
+
+  function parseCall() {
+    expect("ExJoi.");
+    const name = readIdentifier();
+    if (!DSL_BUILDERS.includes(name)) fail(`unsupported function ExJoi.${name}`);
+    expect("(");
+
+    const args = [];
+    while (!accept(")")) {
+      if (atKeywordKey()) {
+        args.push(parseKeywords());
+        expect(")");
+        break;
+      }
+      args.push(parseExpression());
+      if (!accept(",")) {
+        expect(")");
+        break;
+      }
+    }
+
+    // ExJoi has no `object/0`; the bare rule is only reachable from the JS builders.
+    if (name === "object" && !args.length) fail("ExJoi.object/1 expects a map of fields or a schema");
+    try {
+      return ExJoi[name](...args);
+    } catch (error) {
+      return fail(error.message);
+    }
+  }
+
+  function parseString() {
+    expect('"');
+    let value = "";
+    while (pos < source.length && source[pos] !== '"') {
+      if (source.startsWith("#{", pos)) fail("string interpolation is not supported");
+      if (source[pos] === "\\") {
+        pos++;
+        const escaped = source[pos];
+        value += { n: "\n", t: "\t", r: "\r" }[escaped] ?? escaped;
+      } else {
+        value += source[pos];
+      }
+      pos++;
+    }
+    if (pos >= source.length) fail("unterminated string");
+    pos++;
+    return value;
+  }
+
+  function parseAtom() {
+    expect(":");
+    if (source[pos] === '"') return parseString();
+    return readIdentifier();
+  }
+
+  function parseNumber() {
+    skipWhitespace();
+    const match = /^-?\d[\d_]*(\.\d[\d_]*)?([eE][-+]?\d+)?/.exec(source.slice(pos));
+    if (!match) fail("invalid number");
+    pos += match[0].length;
+    return Number(match[0].replace(/_/g, ""));
+  }
+
+  function parseNumberOrRange() {
+    const first = parseNumber();
+    if (!source.startsWith("..", pos)) return first;
+    pos += 2;
+    return { kind: "range", first, last: parseNumber() };
+  }
+
+  function parseRegex() {
+    expect("~r");
+    const closer = REGEX_DELIMITERS[source[pos]];
+    if (!closer) fail("unsupported regex delimiter");
+    pos++;
+
+    let pattern = "";
+    while (pos < source.length && source[pos] !== closer) {
+      if (source[pos] === "\\" && source[pos + 1] === closer) {
+        pattern += closer;
+        pos += 2;
+      } else {
+        pattern += source[pos];
+        pos++;
+      }
+    }
+    if (pos >= source.length) fail("unterminated regex");
+    pos++;
+
+    const flags = /^[a-z]*/.exec(source.slice(pos))[0];
+    pos += flags.length;
+    const unsupported = flags.replace(/[imsu]/g, "");
+    if (unsupported) fail(`unsupported regex modifier "${unsupported}"`);
+
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      return fail(`invalid regex: ${error.message}`);
+    }
+  }
+
+  return { parseProgram };
+}
+
+function camelizeOption(key) {
+  return key.replace(/_([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+// The inverse of `parseExJoiSchema`: prints a schema built with the JS builders as Elixir source the
+// parser reads back. Async checks are JS functions and are left out.
+function formatExJoiSchema(schema) {
+  const defaults = Object.keys(schema.defaults || {}).length
+    ? `, defaults: ${formatElixirTerm(schema.defaults, { atomKeys: true })}`
+    : "";
+  return `ExJoi.schema(${formatFieldMap(schema.fields, "")}${defaults})`;
+}
+
+function formatFieldMap(fields, indent) {
+  const keys = formatElixirKeys(Object.keys(fields));
+  const entries = Object.values(fields).map((rule, index) => `${indent}  ${keys[index]} ${formatRule(rule, `${indent}  `)}`);
+  return entries.length ? `%{\n${entries.join(",\n")}\n${indent}}` : "%{}";
+}
+
+function formatRule(rule, indent) {
+  const call = (name, args, options) => {
+    const keywords = options
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}: ${typeof value === "object" && value.kind === "rule" ? formatRule(value, indent) : formatElixirTerm(value, { atomKeys: true })}`);
+    return `ExJoi.${name}(${[...args, ...keywords].join(", ")})`;
+  };
+  const required = ["required", rule.required || null];
+
+  switch (rule.type) {
+    case "string":
+      return call("string", [], [required, ["min", rule.min], ["max", rule.max], ["pattern", rule.pattern], ["email", rule.email || null]]);
+    case "number":
+      return call("number", [], [required, ["min", rule.min], ["max", rule.max], ["integer", rule.integer || null]]);
+    case "boolean":
+      return call("boolean", [], [required, ["truthy", rule.truthy], ["falsy", rule.falsy]]);
+    case "date":
+      return call("date", [], [required]);
+    case "array":
+      return call("array", [], [
+        required,
+        ["of", rule.of],
+        ["min_items", rule.minItems],
+        ["max_items", rule.maxItems],
+        ["unique", rule.unique || null],
+        ["delimiter", rule.delimiter === "," ? null : rule.delimiter],
+      ]);
+    case "object": {
+      const { schema } = rule;
+      // The bare rule from `ExJoi.object()` has no builder call in ExJoi.
+      if (!schema) return `%ExJoi.Rule{type: :object${rule.required ? ", required: true" : ""}}`;
+      const body = Object.keys(schema.defaults || {}).length
+        ? `ExJoi.schema(${formatFieldMap(schema.fields, indent)}, defaults: ${formatElixirTerm(schema.defaults, { atomKeys: true })})`
+        : formatFieldMap(schema.fields, indent);
+      return call("object", [body], [required]);
+    }
+    case "custom": {
+      const options = Object.entries(rule.customOpts || {}).map(([key, value]) => [key.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`), value]);
+      return call("custom", [`:${rule.customType}`], options);
+    }
+    case "conditional": {
+      const { field, checks, then, otherwise } = rule.conditional;
+      return call("when", [`:${field}`], [
+        ...Object.entries(checks),
+        ["then", then],
+        ["otherwise", otherwise],
+        required,
+      ]);
+    }
+    default:
+      throw new Error(`cannot print a ${rule.type} rule`);
+  }
+}
+
+// Elixir literal for a JSON-like value. Maps use string keys (`%{"role" => "admin"}`) unless
+// `atomKeys` is set, which is how schema options and defaults are written.
+function formatElixirTerm(value, opts = {}) {
+  if (value === null || value === undefined) return "nil";
+  if (typeof value === "string") return formatElixirString(value);
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (value instanceof RegExp) return `~r/${value.source.replace(/\\?\//g, "\\/")}/${value.flags.replace(/[^imsu]/g, "")}`;
+  if (Array.isArray(value)) return `[${value.map((item) => formatElixirTerm(item, opts)).join(", ")}]`;
+  if (value.kind === "range") return `${value.first}..${value.last}`;
+
+  const keys = opts.atomKeys ? formatElixirKeys(Object.keys(value)) : Object.keys(value).map((key) => `${formatElixirString(key)} =>`);
+  const entries = Object.values(value).map((item, index) => `${keys[index]} ${formatElixirTerm(item, opts)}`);
+  return `%{${entries.join(", ")}}`;
+}
+
+// Request params as a string-keyed Elixir literal, broken over lines (two spaces per level) once a
+// map or list gets wider than 80 columns at `indent`.
+function formatElixirParams(value, indent = "") {
+  if (value === null || typeof value !== "object") return formatElixirTerm(value);
+
+  const inner = `${indent}  `;
+  const [open, close] = Array.isArray(value) ? ["[", "]"] : ["%{", "}"];
+  const items = Array.isArray(value)
+    ? value.map((item) => formatElixirParams(item, inner))
+    : Object.entries(value).map(([key, item]) => `${formatElixirString(key)} => ${formatElixirParams(item, inner)}`);
+  const inline = `${open}${items.join(", ")}${close}`;
+  if (!inline.includes("\n") && indent.length + inline.length <= 80) return inline;
+  return `${open}\n${items.map((item) => `${inner}${item}`).join(",\n")}\n${indent}${close}`;
+}
+
+// The keys of one map literal: `name:` while every key is a plain atom. Elixir only allows keyword
+// pairs at the end of a map, so once one key needs `"my-key" =>` the others are written `:name =>`.
+function formatElixirKeys(keys) {
+  const isAtom = (key) => /^[a-zA-Z_][a-zA-Z0-9_]*[?!]?$/.test(key);
+  if (keys.every(isAtom)) return keys.map((key) => `${key}:`);
+  return keys.map((key) => (isAtom(key) ? `:${key} =>` : `${formatElixirString(key)} =>`));
+}
+
+function formatElixirString(text) {
+  return `"${text.replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\n").replace(/\t/g, "\\t").replace(/#\{/g, "\\#{")}"`;
+}
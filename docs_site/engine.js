@@ -0,0 +1,815 @@
+// In-browser ExJoi engine: rule builders shaped like lib/exjoi.ex and a validator that walks any schema
+
+const DEFAULT_TRUTHY = [true, 1, "true", "1", "yes", "on"];
+const DEFAULT_FALSY = [false, 0, "false", "0", "no", "off"];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Registry filled by `ExJoi.extend`, the counterpart of `ExJoi.Config.register_type/2`.
+const customTypes = {};
+
+// Hooks set through `ExJoi.configure`, the counterpart of the builder and translator in `ExJoi.Config`.
+const engineConfig = {
+  errorBuilder: defaultErrorBuilder,
+  messageTranslator: defaultMessageTranslator,
+};
+
+const ExJoi = {
+  schema(fields, opts = {}) {
+    return { kind: "schema", fields, defaults: opts.defaults || {} };
+  },
+
+  // Without fields this is the bare `%ExJoi.Rule{type: :object}`, which accepts any value.
+  object(fieldsOrSchema = null, opts = {}) {
+    const schema = fieldsOrSchema === null || isSchema(fieldsOrSchema) ? fieldsOrSchema : ExJoi.schema(fieldsOrSchema);
+    return buildRule("object", opts, { schema });
+  },
+
+  array(opts = {}) {
+    return buildRule("array", opts, {
+      of: opts.of || null,
+      minItems: opts.minItems ?? opts.min ?? null,
+      maxItems: opts.maxItems ?? opts.max ?? null,
+      unique: Boolean(opts.unique),
+      delimiter: opts.delimiter || ",",
+    });
+  },
+
+  date(opts = {}) {
+    return buildRule("date", opts);
+  },
+
+  when(otherField, conditionOpts, defaultRule = null) {
+    if (!conditionOpts.then) {
+      throw new Error("ExJoi.when/3 requires a :then rule");
+    }
+
+    const checks = {
+      is: conditionOpts.is ?? null,
+      in: conditionOpts.in ?? null,
+      matches: conditionOpts.matches ?? null,
+      min: conditionOpts.min ?? null,
+      max: conditionOpts.max ?? null,
+    };
+    if (Object.values(checks).every((check) => check === null)) {
+      throw new Error("ExJoi.when/3 requires at least one condition (:is/:in/:matches/:min/:max)");
+    }
+
+    return buildRule("conditional", conditionOpts, {
+      conditional: {
+        field: otherField,
+        checks,
+        then: conditionOpts.then,
+        otherwise: conditionOpts.otherwise || defaultRule,
+        base: defaultRule,
+      },
+    });
+  },
+
+  string(opts = {}) {
+    return buildRule("string", opts, {
+      min: opts.min ?? null,
+      max: opts.max ?? null,
+      pattern: opts.pattern || null,
+      email: Boolean(opts.email),
+    });
+  },
+
+  number(opts = {}) {
+    return buildRule("number", opts, {
+      min: opts.min ?? null,
+      max: opts.max ?? null,
+      integer: Boolean(opts.integer),
+    });
+  },
+
+  boolean(opts = {}) {
+    return buildRule("boolean", opts, { truthy: opts.truthy || null, falsy: opts.falsy || null });
+  },
+
+  custom(typeName, opts = {}) {
+    return buildRule("custom", opts, { customType: typeName, customOpts: opts });
+  },
+
+  // Accepts a function of arity 1..3 (`value`, `value, context` or `value, rule, context`) or an
+  // object with a `validate(value, rule, context)` method standing in for an ExJoi.CustomValidator module.
+  extend(typeName, validator) {
+    if (typeof validator === "function") {
+      customTypes[typeName] = { kind: "function", validator };
+    } else if (validator && typeof validator === "object") {
+      customTypes[typeName] = { kind: "module", validator };
+    } else {
+      throw new Error(`Unsupported validator type for ${typeName}`);
+    }
+  },
+
+  // `errorBuilder(errors)` may return any value; `messageTranslator(code, defaultMessage, meta)`
+  // must return the message stored on each error.
+  configure(opts = {}) {
+    if (opts.errorBuilder) engineConfig.errorBuilder = opts.errorBuilder;
+    if (opts.messageTranslator) engineConfig.messageTranslator = opts.messageTranslator;
+  },
+
+  // Same as `ExJoi.Config.reset!/0`: default hooks and no registered custom types.
+  resetConfig() {
+    engineConfig.errorBuilder = defaultErrorBuilder;
+    engineConfig.messageTranslator = defaultMessageTranslator;
+    Object.keys(customTypes).forEach((typeName) => delete customTypes[typeName]);
+  },
+
+  async(rule, asyncFn, opts = {}) {
+    return { ...rule, async: asyncFn, timeout: opts.timeout ?? 5000 };
+  },
+
+  // Returns the result directly, or a Promise of it when the schema declares `ExJoi.async` rules.
+  // Options: `convert`, `timeout` (caps every async check, default 5000), `maxConcurrency`
+  // (default 10), `timeline`, an array that receives one entry per async check, and `errorBuilder`
+  // and `messageTranslator`, which stand in for the configured hooks during this call only.
+  validate(data, schema, opts = {}) {
+    const hasAsync = hasAsyncRules(schema);
+    const hooks = {
+      errorBuilder: opts.errorBuilder || engineConfig.errorBuilder,
+      messageTranslator: opts.messageTranslator || engineConfig.messageTranslator,
+    };
+
+    if (!isPlainObject(data)) {
+      const result = errorResult({ _schema: [validationError("invalid_data", "data must be a map")] }, hooks);
+      return hasAsync ? Promise.resolve(result) : result;
+    }
+
+    const ctx = { convert: Boolean(opts.convert), pending: [] };
+    const { errors, value } = validateFields(data, schema, ctx);
+    if (!hasAsync) return buildResult(errors, value, hooks);
+
+    return runAsyncChecks(ctx.pending, opts).then((outcomes) => {
+      outcomes.forEach((outcome) => {
+        if (outcome.ok) setAtPath(value, outcome.path, outcome.value);
+        else addErrorsAtPath(errors, outcome.path, outcome.errors);
+      });
+      return buildResult(errors, value, hooks);
+    });
+  },
+};
+
+function buildResult(errors, value, hooks) {
+  if (Object.keys(errors).length === 0) {
+    return { status: "ok", data: value };
+  }
+  return errorResult(errors, hooks);
+}
+
+// Map-shaped builder output is merged into the envelope (a builder's own `status` key cannot hide
+// the outcome); anything else is kept whole under `error`, like the term in `{:error, term}`.
+function errorResult(errors, hooks) {
+  const built = formatErrors(translateErrors(errors, hooks.messageTranslator), hooks.errorBuilder);
+  if (isPlainObject(built)) return Object.assign({ status: "error" }, built, { status: "error" });
+  return { status: "error", error: built };
+}
+
+function buildRule(type, opts, extra = {}) {
+  return { kind: "rule", type, required: Boolean(opts.required), ...extra };
+}
+
+function isSchema(value) {
+  return Boolean(value) && value.kind === "schema";
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// The values of an allow-list pattern such as `~r/^(admin|editor|viewer)$/`, or null for any other pattern.
+function patternChoices(pattern) {
+  const match = /^\^\((?:\?:)?([\w .-]+(?:\|[\w .-]+)+)\)\$$/.exec(pattern.source);
+  return match ? match[1].split("|") : null;
+}
+
+// Errors the engine built itself. Only these carry a default message for the translator; errors
+// returned by custom and async validators are kept as given, as in ExJoi.
+const engineErrors = new WeakSet();
+
+function validationError(code, message, meta = {}) {
+  const error = { code, message, meta };
+  engineErrors.add(error);
+  return error;
+}
+
+// Messages are translated once the result is built, so each `validate` call can bring its own translator.
+function translateErrors(errors, translate) {
+  if (Array.isArray(errors)) {
+    return errors.map((error) => (engineErrors.has(error) ? { ...error, message: translate(error.code, error.message, error.meta) } : error));
+  }
+  return Object.fromEntries(Object.entries(errors).map(([key, value]) => [key, translateErrors(value, translate)]));
+}
+
+// Like `format_errors/1`: the builder shapes the envelope and, when it returns a map,
+// `errors_flat` is added unless the builder already set it.
+function formatErrors(errors, errorBuilder) {
+  const built = errorBuilder(errors);
+  if (!isPlainObject(built) || "errors_flat" in built) return built;
+  return { ...built, errors_flat: flattenErrors(errors) };
+}
+
+function defaultErrorBuilder(errors) {
+  return { message: "Validation failed", errors };
+}
+
+function defaultMessageTranslator(_code, defaultMessage) {
+  return defaultMessage;
+}
+
+function fetchFieldValue(data, field) {
+  if (!Object.prototype.hasOwnProperty.call(data, field) || data[field] == null) {
+    return { missing: true };
+  }
+  return { missing: false, value: data[field] };
+}
+
+// JSON payloads only carry string keys, so the atom/string fallback of `fetch_field_value/2`
+// collapses to one lookup; as in ExJoi, a key that is present but `null` still takes the default.
+function applyDefaults(data, defaults = {}) {
+  const merged = { ...data };
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (fetchFieldValue(merged, key).missing) merged[key] = value;
+  });
+  return merged;
+}
+
+// Maps each top-level and nested-object path to "payload" or "default" depending on where its
+// value came from once `applyDefaults` has run.
+function describeValueSources(data, schema, prefix = [], sources = {}) {
+  if (!isPlainObject(data)) return sources;
+
+  const defaults = schema.defaults || {};
+  const keys = new Set([...Object.keys(data), ...Object.keys(schema.fields), ...Object.keys(defaults)]);
+
+  keys.forEach((key) => {
+    const path = [...prefix, key];
+    if (!fetchFieldValue(data, key).missing) {
+      sources[pathToString(path)] = "payload";
+      const rule = schema.fields[key];
+      if (rule && rule.type === "object" && rule.schema) describeValueSources(data[key], rule.schema, path, sources);
+    } else if (defaults[key] != null) {
+      sources[pathToString(path)] = "default";
+    }
+  });
+
+  return sources;
+}
+
+// Lists every value convert mode rewrites, with the rule that did it. Each leaf is checked with
+// convert on and off: `passes` says whether it is valid after conversion and `convertOnly` marks
+// values that would fail with `convert: false`.
+// With `convert` off only array splits are left, since `coerce_array` splits strings in both modes.
+function describeCoercions(data, schema, convert = true, prefix = [], entries = []) {
+  if (!isPlainObject(data)) return entries;
+
+  const output = applyDefaults(data, schema.defaults);
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const effectiveRule = rule.type === "conditional" ? resolveConditionalRule(rule.conditional, output) : rule;
+    const fetched = fetchFieldValue(output, field);
+    if (!effectiveRule || fetched.missing) return;
+    traceCoercion(fetched.value, effectiveRule, [...prefix, field], output, convert, entries);
+  });
+
+  return entries;
+}
+
+function traceCoercion(value, rule, path, data, convert, entries) {
+  if (rule.type === "object") {
+    if (rule.schema) describeCoercions(value, rule.schema, convert, path, entries);
+    return;
+  }
+
+  // The cast is run without the rule's constraints so a value that is converted and then fails
+  // `min:` or `pattern:` still shows up.
+  const check = (mode) => (rule.type === "custom" ? validateCustom(value, rule, { convert: mode }, data) : coerceValue(value, rule, mode));
+  const cast = rule.type === "custom" ? check(convert) : coerceValue(value, castRule(rule), convert);
+  if (!cast.ok) return;
+
+  const coercion = coercionRule(value, cast.value, rule);
+  if (coercion) {
+    const passes = check(convert).ok;
+    entries.push({
+      path: pathToString(path),
+      rule: coercion,
+      from: value,
+      fromType: describeType(value),
+      to: cast.value,
+      toType: rule.type === "date" ? "DateTime" : describeType(cast.value),
+      passes,
+      convertOnly: convert && passes && !check(false).ok,
+    });
+  }
+
+  if (rule.type === "array" && rule.of) {
+    cast.value.forEach((item, idx) => traceCoercion(item, rule.of, [...path, idx], data, convert, entries));
+  }
+}
+
+function coerceValue(value, rule, convert) {
+  switch (rule.type) {
+    case "string":
+      return ensureString(value, convert, rule);
+    case "number":
+      return ensureNumber(value, convert, rule);
+    case "boolean":
+      return ensureBoolean(value, convert, rule);
+    case "date":
+      return ensureDate(value, convert);
+    case "array":
+      return ensureArray(value, rule);
+    default:
+      return { ok: true, value };
+  }
+}
+
+function castRule(rule) {
+  const { type, delimiter, truthy, falsy } = rule;
+  return { type, delimiter, truthy, falsy };
+}
+
+function coercionRule(from, to, rule) {
+  if (rule.type === "array") return Array.isArray(from) ? null : `split on "${rule.delimiter || ","}"`;
+  // Date strings always become a DateTime, even when the ISO8601 text comes back unchanged.
+  if (rule.type === "date") return typeof from === "string" ? "parse ISO8601" : null;
+  if (termsEqual(from, to)) return null;
+
+  switch (rule.type) {
+    case "string":
+      return "trim and collapse whitespace";
+    case "number":
+      return "parse number";
+    case "boolean":
+      return to ? "truthy value" : "falsy value";
+    default:
+      return `custom :${rule.customType}`;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function validateFields(data, schema, ctx, path = []) {
+  const errors = {};
+  const output = applyDefaults(data, schema.defaults);
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const result = validateField(output, field, rule, ctx, [...path, field]);
+    if (result.missing) return;
+    if (result.ok) output[field] = result.value;
+    else errors[field] = result.errors;
+  });
+
+  return { errors, value: output };
+}
+
+function validateField(data, field, rule, ctx, path) {
+  const effectiveRule = rule.type === "conditional" ? resolveConditionalRule(rule.conditional, data) : rule;
+  const required = rule.required || Boolean(effectiveRule && effectiveRule.required);
+  const fetched = fetchFieldValue(data, field);
+
+  if (fetched.missing) {
+    if (required) return { ok: false, errors: [validationError("required", "is required")] };
+    return { ok: true, missing: true };
+  }
+
+  if (!effectiveRule) return { ok: true, value: fetched.value };
+  return deferAsync(validateValue(fetched.value, effectiveRule, ctx, data, path), effectiveRule, ctx, data, path);
+}
+
+function validateValue(value, rule, ctx, data, path) {
+  switch (rule.type) {
+    case "string":
+      return ensureString(value, ctx.convert, rule);
+    case "number":
+      return ensureNumber(value, ctx.convert, rule);
+    case "boolean":
+      return ensureBoolean(value, ctx.convert, rule);
+    case "date":
+      return ensureDate(value, ctx.convert);
+    case "array":
+      return validateArray(value, rule, ctx, data, path);
+    case "object":
+      return validateObject(value, rule, ctx, path);
+    case "custom":
+      return validateCustom(value, rule, ctx, data);
+    case "conditional": {
+      const effectiveRule = resolveConditionalRule(rule.conditional, data);
+      return effectiveRule ? validateValue(value, effectiveRule, ctx, data, path) : { ok: true, value };
+    }
+    default:
+      return { ok: true, value };
+  }
+}
+
+// Like `validate_value/4`, only an object rule with a nested schema checks that the value is a map.
+function validateObject(value, rule, ctx, path) {
+  if (!rule.schema) return { ok: true, value };
+  if (!isPlainObject(value)) {
+    return { ok: false, errors: [validationError("object", "must be an object/map")] };
+  }
+
+  const nested = validateFields(value, rule.schema, ctx, path);
+  if (Object.keys(nested.errors).length) return { ok: false, errors: nested.errors };
+  return { ok: true, value: nested.value };
+}
+
+function validateArray(value, rule, ctx, data, path) {
+  const listResult = ensureArray(value, rule);
+  if (!listResult.ok) return listResult;
+  if (!rule.of) return listResult;
+
+  const errors = {};
+  const values = listResult.value.map((item, idx) => {
+    const itemPath = [...path, idx];
+    const itemResult = deferAsync(validateValue(item, rule.of, ctx, data, itemPath), rule.of, ctx, data, itemPath);
+    if (!itemResult.ok) errors[idx] = itemResult.errors;
+    return itemResult.value;
+  });
+
+  if (Object.keys(errors).length) return { ok: false, errors };
+  return { ok: true, value: values };
+}
+
+// As in `ExJoi.Validator`, the async function only runs once the synchronous checks of its rule pass.
+// The check is queued with its path so `runAsyncChecks` can patch the value or errors in afterwards.
+function deferAsync(result, rule, ctx, data, path) {
+  if (result.ok && rule.async) {
+    ctx.pending.push({ path, rule, value: result.value, context: { convert: ctx.convert, data, customOpts: rule.customOpts || {} } });
+  }
+  return result;
+}
+
+function hasAsyncRules(schema) {
+  return Object.values(schema.fields).some(ruleHasAsync);
+}
+
+function ruleHasAsync(rule) {
+  if (!rule) return false;
+  if (rule.async) return true;
+  if (rule.type === "object" && rule.schema) return hasAsyncRules(rule.schema);
+  if (rule.type === "array") return ruleHasAsync(rule.of);
+  if (rule.type === "conditional") {
+    const { then, otherwise, base } = rule.conditional;
+    return [then, otherwise, base].some(ruleHasAsync);
+  }
+  return false;
+}
+
+async function runAsyncChecks(pending, opts) {
+  const maxConcurrency = Math.max(1, opts.maxConcurrency || 10);
+  const timeout = opts.timeout ?? 5000;
+  const startedAt = Date.now();
+  const outcomes = new Array(pending.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < pending.length) {
+      const idx = next++;
+      const start = Date.now() - startedAt;
+      outcomes[idx] = await runAsyncCheck(pending[idx], timeout);
+      if (opts.timeline) {
+        opts.timeline.push({
+          path: pathToString(pending[idx].path),
+          start,
+          end: Date.now() - startedAt,
+          status: outcomes[idx].status,
+        });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(maxConcurrency, pending.length) }, worker));
+  return outcomes;
+}
+
+const TIMED_OUT = Symbol("timed_out");
+
+// The rule's own `:timeout` produces a per-field `async_timeout`; when the validate-level timeout is
+// shorter it wins and, like a killed `Task.async_stream` task, reports under `_async_timeout`.
+async function runAsyncCheck(check, validateTimeout) {
+  const { path, rule, value, context } = check;
+  const ruleTimeout = rule.timeout ?? validateTimeout;
+  const failure = (status, error, failurePath = path) => ({ ok: false, status, path: failurePath, errors: [error] });
+
+  let returned;
+  try {
+    returned = rule.async(value, context);
+  } catch (error) {
+    return failure("failed", validationError("async_error", `async validation failed: ${describeReason(error)}`));
+  }
+
+  if (!returned || typeof returned.then !== "function") {
+    return normalizeAsyncResult(returned, path, "async function returned unexpected result");
+  }
+
+  const limit = Math.min(ruleTimeout, validateTimeout);
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), limit);
+  });
+
+  try {
+    const settled = await Promise.race([returned, timedOut]);
+    if (settled !== TIMED_OUT) return normalizeAsyncResult(settled, path, "async validation returned unexpected result");
+    if (validateTimeout < ruleTimeout) {
+      return failure("timeout", validationError("async_timeout", "async validation timed out"), ["_async_timeout"]);
+    }
+    return failure("timeout", validationError("async_timeout", `async validation timed out after ${ruleTimeout}ms`));
+  } catch (error) {
+    return failure("failed", validationError("async_error", `async validation failed: ${describeReason(error)}`));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function normalizeAsyncResult(result, path, unexpectedMessage) {
+  if (result && result.ok === true) return { ok: true, status: "ok", path, value: result.value };
+  if (result && result.ok === false && Array.isArray(result.errors)) {
+    return { ok: false, status: "error", path, errors: result.errors };
+  }
+  return {
+    ok: false,
+    status: "error",
+    path,
+    errors: [validationError("async_validation", `${unexpectedMessage}: ${describeReason(result)}`)],
+  };
+}
+
+function describeReason(reason) {
+  if (reason instanceof Error) return reason.message;
+  if (typeof reason === "string") return reason;
+  return JSON.stringify(reason) ?? String(reason);
+}
+
+function setAtPath(target, path, value) {
+  let cursor = target;
+  for (let i = 0; i < path.length - 1; i++) cursor = cursor[path[i]];
+  cursor[path[path.length - 1]] = value;
+}
+
+function addErrorsAtPath(store, path, errors) {
+  let cursor = store;
+  for (let i = 0; i < path.length - 1; i++) {
+    const segment = path[i];
+    if (!cursor[segment]) cursor[segment] = {};
+    cursor = cursor[segment];
+  }
+  const leaf = path[path.length - 1];
+  cursor[leaf] = (cursor[leaf] || []).concat(errors);
+}
+
+function validateCustom(value, rule, ctx, data) {
+  const entry = customTypes[rule.customType];
+  if (!entry) {
+    return { ok: false, errors: [validationError("custom_type", `unknown custom type ${rule.customType}`)] };
+  }
+
+  const context = { convert: ctx.convert, data, customOpts: rule.customOpts };
+  return normalizeCustomResult(runCustomValidator(entry, value, rule, context), value);
+}
+
+function runCustomValidator(entry, value, rule, context) {
+  const { validator } = entry;
+
+  if (entry.kind === "module") {
+    if (typeof validator.validate !== "function") {
+      throw new Error(`${rule.customType} validator must implement validate(value, rule, context)`);
+    }
+    return validator.validate(value, rule, context);
+  }
+
+  switch (Math.max(validator.length, 1)) {
+    case 1:
+      return validator(value);
+    case 2:
+      return validator(value, context);
+    case 3:
+      return validator(value, rule, context);
+    default:
+      throw new Error("Custom validator functions must have arity 1..3");
+  }
+}
+
+// `"ok"` plays the part of `:ok`; `{ ok: true, value }` and `{ ok: false, errors }` the tagged tuples.
+function normalizeCustomResult(result, value) {
+  if (result === "ok") return { ok: true, value };
+  if (result && result.ok === true) return { ok: true, value: "value" in result ? result.value : value };
+  if (result && result.ok === false && result.errors !== undefined) {
+    return { ok: false, errors: [].concat(result.errors) };
+  }
+  return { ok: false, errors: [validationError("custom_type", "invalid custom validator response")] };
+}
+
+// Like `ExJoi.Validator`, the other field is read from the map that holds the conditional rule,
+// so a `when` inside a nested object or array item compares against its siblings, not the root payload.
+function resolveConditionalRule(conditional, data) {
+  const compareValue = data[conditional.field] ?? null;
+  const branch = conditionMet(compareValue, conditional.checks) ? conditional.then : conditional.otherwise;
+  return branch || conditional.base;
+}
+
+function conditionMet(value, checks) {
+  return (
+    (checks.is === null || termsEqual(value, checks.is)) &&
+    (checks.in === null || checkIn(value, checks.in)) &&
+    (checks.matches === null || (typeof value === "string" && checks.matches.test(value))) &&
+    (checks.min === null || (typeof value === "number" && value >= checks.min)) &&
+    (checks.max === null || (typeof value === "number" && value <= checks.max))
+  );
+}
+
+function checkIn(value, expected) {
+  if (Array.isArray(expected)) return expected.some((candidate) => termsEqual(value, candidate));
+  if (expected && expected.kind === "range") {
+    return Number.isInteger(value) && value >= Math.min(expected.first, expected.last) && value <= Math.max(expected.first, expected.last);
+  }
+  return false;
+}
+
+function termsEqual(left, right) {
+  if (left === right) return true;
+  if (typeof left !== "object" || typeof right !== "object" || left === null || right === null) return false;
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function ensureString(value, convert, opts = {}) {
+  if (typeof value !== "string") {
+    return { ok: false, errors: [validationError("string", "must be a string")] };
+  }
+
+  const result = convert ? value.trim().replace(/\s+/g, " ") : value;
+  const length = stringLength(result);
+
+  const errors = [];
+  if (opts.min != null && length < opts.min) {
+    errors.push(validationError("string_min", `must be at least ${opts.min} characters`, { min: opts.min }));
+  }
+  if (opts.max != null && length > opts.max) {
+    errors.push(validationError("string_max", `must be at most ${opts.max} characters`, { max: opts.max }));
+  }
+  if (opts.pattern && !opts.pattern.test(result)) {
+    errors.push(validationError("string_pattern", "must match required pattern"));
+  }
+  if (opts.email && !EMAIL_REGEX.test(result)) {
+    errors.push(validationError("string_email", "must be a valid email"));
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, value: result };
+}
+
+// `String.length/1` counts graphemes, so "👍" is one character rather than two UTF-16 units.
+function stringLength(text) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) return Array.from(text).length;
+  return Array.from(new Intl.Segmenter().segment(text)).length;
+}
+
+function ensureNumber(value, convert, opts = {}) {
+  let num = value;
+  let float = false;
+  if (typeof num !== "number") {
+    const parsed = convert && typeof value === "string" ? parseNumberFromString(value) : null;
+    if (!parsed) return { ok: false, errors: [validationError("number", "must be a number")] };
+    ({ num, float } = parsed);
+  }
+
+  if (!Number.isFinite(num)) {
+    return { ok: false, errors: [validationError("number", "must be a number")] };
+  }
+
+  const errors = [];
+  if (opts.min != null && num < opts.min) {
+    errors.push(validationError("number_min", `must be greater than or equal to ${opts.min}`, { min: opts.min }));
+  }
+  if (opts.max != null && num > opts.max) {
+    errors.push(validationError("number_max", `must be less than or equal to ${opts.max}`, { max: opts.max }));
+  }
+  if (opts.integer && (float || !Number.isInteger(num))) {
+    errors.push(validationError("number_integer", "must be an integer"));
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, value: num };
+}
+
+// Mirrors `parse_number_from_string/1`: `Integer.parse/1` first, then `Float.parse/1`, and either
+// must consume the whole trimmed string. `"3.0"` parses as a float, which `integer: true` rejects.
+function parseNumberFromString(value) {
+  const trimmed = value.trim();
+  if (/^[+-]?\d+$/.test(trimmed)) return { num: Number(trimmed), float: false };
+  if (/^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(trimmed)) return { num: Number(trimmed), float: true };
+  return null;
+}
+
+function ensureBoolean(value, convert, opts = {}) {
+  if (typeof value === "boolean") return { ok: true, value };
+
+  const truthy = opts.truthy || (convert ? DEFAULT_TRUTHY : null);
+  const falsy = opts.falsy || (convert ? DEFAULT_FALSY : null);
+  const normalized = normalizeBooleanValue(value);
+
+  if (truthy && truthy.map(normalizeBooleanValue).includes(normalized)) return { ok: true, value: true };
+  if (falsy && falsy.map(normalizeBooleanValue).includes(normalized)) return { ok: true, value: false };
+
+  return { ok: false, errors: [validationError("boolean", "must be a boolean")] };
+}
+
+function normalizeBooleanValue(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : value;
+}
+
+// Like `coerce_array/2`, a string is split on the delimiter whether or not convert mode is on.
+function ensureArray(value, opts = {}) {
+  let arr = value;
+  if (!Array.isArray(arr)) {
+    if (typeof value !== "string") {
+      return { ok: false, errors: [validationError("array", "must be an array/list")] };
+    }
+    arr = value
+      .split(opts.delimiter || ",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+
+  const errors = [];
+  if (opts.minItems != null && arr.length < opts.minItems) {
+    errors.push(
+      validationError("array_min_items", `must contain at least ${opts.minItems} items`, { min_items: opts.minItems })
+    );
+  }
+  if (opts.maxItems != null && arr.length > opts.maxItems) {
+    errors.push(
+      validationError("array_max_items", `must contain at most ${opts.maxItems} items`, { max_items: opts.maxItems })
+    );
+  }
+  if (opts.unique && new Set(arr.map((item) => JSON.stringify(item))).size !== arr.length) {
+    errors.push(validationError("array_unique", "must contain unique items"));
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, value: arr };
+}
+
+// ExJoi only parses strings in convert mode, and then only what `DateTime.from_iso8601/1` or
+// `NaiveDateTime.from_iso8601/1` accept: a full date-time, so "2025-01-15" alone is rejected.
+// Naive values are taken as UTC and the result is formatted like `DateTime.to_iso8601/1`.
+const ISO8601_DATETIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})?$/;
+
+function ensureDate(value, convert) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return { ok: true, value: value.toISOString() };
+  }
+
+  const parsed = convert && typeof value === "string" ? parseIsoDateTime(value) : null;
+  if (parsed) return { ok: true, value: parsed };
+
+  return { ok: false, errors: [validationError("date", "must be an ISO8601 date/time")] };
+}
+
+function parseIsoDateTime(text) {
+  const match = ISO8601_DATETIME.exec(text);
+  if (!match || match[8] === "-00:00") return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const daysInMonth = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  if (!daysInMonth || day < 1 || day > daysInMonth || hour > 23 || minute > 59 || second > 59) return null;
+
+  const sign = match[8] && match[8][0] === "-" ? -1 : 1;
+  const offset = !match[8] || match[8] === "Z" ? 0 : sign * (Number(match[8].slice(1, 3)) * 60 + Number(match[8].slice(4)));
+  const utc = new Date(0);
+  utc.setUTCFullYear(year, month - 1, day);
+  utc.setUTCHours(hour, minute - offset, second, 0);
+  const fraction = match[7] ? `.${match[7].slice(0, 6)}` : "";
+  return `${utc.toISOString().slice(0, 19)}${fraction}Z`;
+}
+
+// Mirrors `ExJoi.Validator.flatten_errors/1`: nested maps (including per-index array errors)
+// become dotted paths, and messages for paths that collide are appended rather than replaced.
+function flattenErrors(errors, prefix = [], flat = {}) {
+  Object.entries(errors).forEach(([key, value]) => {
+    const currentPath = [...prefix, key];
+    if (Array.isArray(value)) {
+      const pathKey = pathToString(currentPath);
+      flat[pathKey] = (flat[pathKey] || []).concat(value.map((entry) => entry.message));
+    } else if (isPlainObject(value)) {
+      flattenErrors(value, currentPath, flat);
+    }
+  });
+  return flat;
+}
+
+// Every error as `{ path, code, message }`, with paths joined the same way as in `flattenErrors`.
+function listErrors(errors, prefix = []) {
+  return Object.entries(errors).flatMap(([key, value]) => {
+    const currentPath = [...prefix, key];
+    if (Array.isArray(value)) return value.map((entry) => ({ path: pathToString(currentPath), code: entry.code, message: entry.message }));
+    return isPlainObject(value) ? listErrors(value, currentPath) : [];
+  });
+}
+
+function pathToString(segments) {
+  return segments.map(String).join(".");
+}
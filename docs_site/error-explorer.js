@@ -0,0 +1,237 @@
+// Error explorer: the sandbox's nested error map as a collapsible tree, linked both ways to the
+// payload editor through the text range of every JSON value, keyed by `pathToString` paths.
+
+// Map of path → `{ start, end, keyStart }` offsets for every value in `text`, or null when the
+// text is not JSON. `keyStart` is where the value's key begins, for values inside objects.
+// Duplicate keys resolve to the last one, like `JSON.parse`.
+function mapJsonRanges(text) {
+  try {
+    JSON.parse(text);
+  } catch (_error) {
+    return null;
+  }
+
+  const ranges = new Map();
+  let pos = 0;
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos += 1;
+  };
+  const skipSeparator = () => {
+    skipWhitespace();
+    if (text[pos] === ",") pos += 1;
+    skipWhitespace();
+  };
+  const readString = () => {
+    const start = pos;
+    pos += 1;
+    while (text[pos] !== '"') pos += text[pos] === "\\" ? 2 : 1;
+    pos += 1;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (segments, keyStart) => {
+    skipWhitespace();
+    const start = pos;
+    if (text[pos] === "{") {
+      pos += 1;
+      skipWhitespace();
+      while (text[pos] !== "}") {
+        const childKeyStart = pos;
+        const key = readString();
+        skipWhitespace();
+        pos += 1;
+        readValue([...segments, key], childKeyStart);
+        skipSeparator();
+      }
+      pos += 1;
+    } else if (text[pos] === "[") {
+      pos += 1;
+      skipWhitespace();
+      for (let index = 0; text[pos] !== "]"; index += 1) {
+        readValue([...segments, index], null);
+        skipSeparator();
+      }
+      pos += 1;
+    } else if (text[pos] === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos += 1;
+    }
+    ranges.set(pathToString(segments), { start, end: pos, keyStart });
+  };
+
+  readValue([], null);
+  return ranges;
+}
+
+// The range for `path`, or for its closest ancestor when the value is not in the text (a missing
+// required field, or an item of an array that convert mode split from a string).
+function locateJsonPath(ranges, path) {
+  let current = path;
+  while (!ranges.has(current)) {
+    if (!current) return null;
+    const cut = current.lastIndexOf(".");
+    current = cut === -1 ? "" : current.slice(0, cut);
+  }
+  return { path: current, exact: current === path, ...ranges.get(current) };
+}
+
+// Path of the innermost value whose key or value contains `offset`.
+function jsonPathAt(ranges, offset) {
+  let found = null;
+  ranges.forEach((range, path) => {
+    const start = range.keyStart ?? range.start;
+    if (offset < start || offset > range.end) return;
+    if (!found || range.end - start < found.size) found = { path, size: range.end - start };
+  });
+  return found && found.path;
+}
+
+// Tree nodes `{ key, path, errors, children, count }` for a nested error map, where `count` covers
+// the node and everything below it.
+function buildErrorTree(errors, prefix = []) {
+  return Object.entries(errors).map(([key, value]) => {
+    const segments = [...prefix, key];
+    const node = {
+      key,
+      path: pathToString(segments),
+      errors: Array.isArray(value) ? value : [],
+      children: isPlainObject(value) ? buildErrorTree(value, segments) : [],
+    };
+    node.count = node.errors.length + node.children.reduce((sum, child) => sum + child.count, 0);
+    return node;
+  });
+}
+
+// Builders that return no nested map still carry `errors_flat`, which gives one node per path.
+function errorTreeFromResult(result) {
+  if (isPlainObject(result.errors)) return buildErrorTree(result.errors);
+  return Object.entries(result.errors_flat || {}).map(([path, messages]) => {
+    const errors = [].concat(messages).map((message) => ({ code: null, message }));
+    return { key: path, path, errors, children: [], count: errors.length };
+  });
+}
+
+function errorPathWithin(path, parent) {
+  return !parent || path === parent || path.startsWith(`${parent}.`);
+}
+
+// Renders into `container` and follows the cursor in `editor`, the payload textarea. Returns
+// `{ showResult }`, which takes an `ExJoi.validate` result.
+function renderErrorExplorer(container, editor) {
+  container.innerHTML = `
+    <div class="playground-grid">
+      <div class="space-y-2">
+        <p class="text-sm text-slate-400">Errors by path</p>
+        <div class="max-h-96 overflow-auto rounded-2xl border border-slate-800 bg-slate-950/70 p-3 text-xs" data-role="tree"></div>
+      </div>
+      <div class="space-y-2">
+        <p class="text-sm text-slate-400">At the cursor</p>
+        <div class="rounded-2xl border border-slate-800 bg-slate-950/70 p-3 text-xs space-y-2">
+          <p class="text-slate-500" data-role="cursor-status"></p>
+          <ul class="space-y-1" data-role="cursor-errors"></ul>
+        </div>
+      </div>
+    </div>
+  `;
+  const treeContainer = container.querySelector('[data-role="tree"]');
+  const cursorStatus = container.querySelector('[data-role="cursor-status"]');
+  const cursorErrors = container.querySelector('[data-role="cursor-errors"]');
+  let entries = [];
+  let flatErrors = null;
+
+  const showTree = (nodes) => {
+    entries = [];
+    if (!nodes.length) {
+      treeContainer.innerHTML = `<p class="text-slate-500">The last run passed without errors.</p>`;
+    } else {
+      treeContainer.replaceChildren(buildCollapsibleTree(nodes, (node) => renderErrorTreeNode(node, entries), highlight));
+    }
+    followCursor();
+  };
+
+  // Selects the value in the editor, or its closest ancestor when the value is not in the text.
+  function highlight(node) {
+    const ranges = mapJsonRanges(editor.value);
+    const range = ranges && locateJsonPath(ranges, node.path);
+    if (!range) {
+      cursorStatus.textContent = "The payload no longer parses as JSON, so paths cannot be located in it.";
+      return;
+    }
+    editor.focus();
+    editor.setSelectionRange(range.start, range.end);
+    const line = editor.value.slice(0, range.start).split("\n").length - 1;
+    const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+    editor.scrollTop = Math.max(0, (line - 2) * lineHeight);
+    followCursor(range.exact ? null : `${node.path} is not in the payload; selected ${range.path || "the whole payload"} instead.`);
+  }
+
+  function followCursor(note = null) {
+    if (!flatErrors) {
+      cursorStatus.textContent = "Validate a payload to explore its errors.";
+      cursorErrors.replaceChildren();
+      return;
+    }
+    const ranges = mapJsonRanges(editor.value);
+    if (!ranges) {
+      cursorStatus.textContent = "The payload does not parse as JSON.";
+      cursorErrors.replaceChildren();
+      return;
+    }
+
+    const path = jsonPathAt(ranges, editor.selectionStart) ?? "";
+    const matching = flatErrors.filter((error) => errorPathWithin(error.path, path));
+    const count = `${matching.length} error${matching.length === 1 ? "" : "s"}`;
+    const summary = path ? (matching.length ? `${count} at ${path} and below.` : `No errors at ${path}.`) : `${count} in the payload.`;
+    cursorStatus.textContent = note || summary;
+    cursorErrors.replaceChildren(
+      ...matching.map((error) => buildErrorListItem(error, "rounded-xl border border-rose-500/40 bg-rose-500/10 px-3 py-2 text-rose-200"))
+    );
+    entries.forEach((entry) => {
+      const active = Boolean(path) && entry.node.path === path;
+      entry.button.classList.toggle("ring-1", active);
+      entry.button.classList.toggle("ring-sky-400", active);
+    });
+  }
+
+  ["click", "keyup", "select"].forEach((type) => editor.addEventListener(type, () => followCursor()));
+  followCursor();
+
+  return {
+    showResult(result) {
+      const nodes = result.status === "ok" ? [] : errorTreeFromResult(result);
+      flatErrors = [];
+      const collect = (list) =>
+        list.forEach((node) => {
+          node.errors.forEach((error) => flatErrors.push({ path: node.path, code: error.code, message: error.message }));
+          collect(node.children);
+        });
+      collect(nodes);
+      showTree(nodes);
+    },
+  };
+}
+
+// The node's button and its own errors; `registry` collects `{ node, button }` for the cursor ring.
+function renderErrorTreeNode(node, registry) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "inline-flex flex-wrap items-center gap-2 rounded-xl px-2 py-1 text-left hover:bg-slate-800/70";
+  button.title = `Select ${node.path} in the payload`;
+  button.innerHTML = `<span class="font-mono text-slate-100"></span><span class="rounded-full border border-rose-500/40 bg-rose-500/10 px-2 py-0.5 text-rose-300"></span>`;
+  const [key, count] = button.children;
+  key.textContent = node.key;
+  count.textContent = `${node.count} error${node.count === 1 ? "" : "s"}`;
+  registry.push({ node, button });
+
+  const messages = document.createElement("ul");
+  messages.className = "ml-4 space-y-0.5";
+  node.errors.forEach((error) => {
+    const entry = document.createElement("li");
+    entry.innerHTML = `<span class="text-slate-500"></span> <span class="text-rose-200"></span>`;
+    entry.children[0].textContent = error.code ? `:${error.code}` : "";
+    entry.children[1].textContent = error.message;
+    messages.append(entry);
+  });
+  return { button, body: messages };
+}
@@ -0,0 +1,335 @@
+// JSON Schema (draft 2020-12) export and import for schemas built with the JS `ExJoi` builders.
+// Both directions return `warnings`, one string per feature that has no counterpart on the other side.
+
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+// Keywords that only describe a schema and are safe to drop on import.
+const JSON_SCHEMA_ANNOTATIONS = ["$schema", "$id", "$comment", "title", "description", "examples", "default", "deprecated", "readOnly", "writeOnly"];
+
+const JSON_SCHEMA_KEYWORDS = {
+  string: ["type", "minLength", "maxLength", "pattern", "format", "enum", "const"],
+  number: ["type", "minimum", "maximum"],
+  integer: ["type", "minimum", "maximum"],
+  boolean: ["type"],
+  array: ["type", "items", "minItems", "maxItems", "uniqueItems"],
+  object: ["type", "properties", "required", "allOf"],
+};
+
+// The export describes payloads as sent with `convert: false`; coercions have no JSON Schema keyword.
+function exportJsonSchema(schema) {
+  const warnings = [];
+  const jsonSchema = { $schema: JSON_SCHEMA_DIALECT, ...objectToJsonSchema(schema, [], warnings) };
+  return { jsonSchema, warnings };
+}
+
+function objectToJsonSchema(schema, path, warnings) {
+  const properties = {};
+  const required = [];
+  const conditions = [];
+
+  Object.entries(schema.fields).forEach(([name, rule]) => {
+    const fieldPath = [...path, name];
+    if (rule.type === "conditional") {
+      // Left open here: the `allOf` entry applies either the matching branch or the base rule, never both.
+      properties[name] = {};
+      conditions.push(conditionalToJsonSchema(name, rule.conditional, fieldPath, warnings));
+    } else {
+      properties[name] = ruleToJsonSchema(rule, fieldPath, warnings);
+    }
+    if (rule.required) required.push(name);
+  });
+
+  Object.entries(schema.defaults || {}).forEach(([name, value]) => {
+    if (properties[name]) properties[name].default = value;
+    else warnings.push(`${describeJsonPath([...path, name])}: default for a field the schema does not declare was dropped`);
+  });
+
+  const result = { type: "object", properties };
+  if (required.length) result.required = required;
+  if (conditions.length) result.allOf = conditions;
+  return result;
+}
+
+// `ExJoi.when(:role, is: "admin", then: a, otherwise: b)` on `permissions` becomes
+// `{ if: { properties: { role: { const: "admin" } }, required: ["role"] }, then: ..., else: ... }`
+// in the parent's `allOf`; `required` in `if` matches ExJoi comparing a missing field as nil.
+// Without `otherwise`, the rule passed as the third argument goes in `else`.
+function conditionalToJsonSchema(name, conditional, path, warnings) {
+  const { field, checks, then } = conditional;
+  const otherwise = conditional.otherwise || conditional.base;
+  const condition = {};
+
+  if (checks.is !== null) condition.const = checks.is;
+  if (Array.isArray(checks.in)) condition.enum = checks.in;
+  if (checks.in && checks.in.kind === "range") {
+    Object.assign(condition, {
+      type: "integer",
+      minimum: Math.min(checks.in.first, checks.in.last),
+      maximum: Math.max(checks.in.first, checks.in.last),
+    });
+  }
+  if (checks.matches) {
+    Object.assign(condition, { type: "string", pattern: patternToJsonSchema(checks.matches, path, warnings) });
+  }
+  if (checks.min !== null || checks.max !== null) condition.type = "number";
+  if (checks.min !== null) condition.minimum = checks.min;
+  if (checks.max !== null) condition.maximum = checks.max;
+
+  const branch = (rule) => {
+    const schema = { properties: { [name]: ruleToJsonSchema(rule, path, warnings) } };
+    if (rule.required) schema.required = [name];
+    return schema;
+  };
+
+  const result = { if: { properties: { [field]: condition }, required: [field] }, then: branch(then) };
+  if (otherwise) result.else = branch(otherwise);
+  return result;
+}
+
+function ruleToJsonSchema(rule, path, warnings) {
+  const where = describeJsonPath(path);
+  if (rule.async) warnings.push(`${where}: the async check cannot be expressed in JSON Schema and was left out`);
+
+  switch (rule.type) {
+    case "string": {
+      const result = { type: "string" };
+      if (rule.min != null) result.minLength = rule.min;
+      if (rule.max != null) result.maxLength = rule.max;
+      // Allow-lists (`~r/^(admin|editor)$/`) read better as an enum in generated API docs.
+      const choices = rule.pattern && !rule.pattern.flags.includes("i") ? patternChoices(rule.pattern) : null;
+      if (choices) result.enum = choices;
+      else if (rule.pattern) result.pattern = patternToJsonSchema(rule.pattern, path, warnings);
+      if (rule.email) result.format = "email";
+      return result;
+    }
+    case "number": {
+      const result = { type: rule.integer ? "integer" : "number" };
+      if (rule.min != null) result.minimum = rule.min;
+      if (rule.max != null) result.maximum = rule.max;
+      return result;
+    }
+    case "boolean":
+      if (rule.truthy || rule.falsy) {
+        warnings.push(`${where}: truthy/falsy lists have no JSON Schema equivalent; only true and false are accepted`);
+      }
+      return { type: "boolean" };
+    case "date":
+      return { type: "string", format: "date-time" };
+    case "array": {
+      const result = { type: "array" };
+      if (rule.of) result.items = ruleToJsonSchema(rule.of, [...path, "items"], warnings);
+      if (rule.minItems != null) result.minItems = rule.minItems;
+      if (rule.maxItems != null) result.maxItems = rule.maxItems;
+      if (rule.unique) result.uniqueItems = true;
+      return result;
+    }
+    case "object":
+      return rule.schema ? objectToJsonSchema(rule.schema, path, warnings) : {};
+    case "custom":
+      warnings.push(`${where}: custom type :${rule.customType} has no JSON Schema equivalent and was exported without constraints`);
+      return {};
+    default:
+      // A `when` outside an object's fields (e.g. as array items) compares against a sibling the item does not have.
+      warnings.push(`${where}: a ${rule.type} rule in this position cannot be exported and was left unconstrained`);
+      return {};
+  }
+}
+
+function patternToJsonSchema(pattern, path, warnings) {
+  if (pattern.flags.replace(/[gu]/g, "")) {
+    warnings.push(`${describeJsonPath(path)}: regex modifiers "${pattern.flags}" are not part of JSON Schema patterns and were dropped`);
+  }
+  return pattern.source;
+}
+
+// Returns `{ schema, warnings }`; throws when the document is not an object schema at all.
+function importJsonSchema(document) {
+  if (!isPlainObject(document) || !(document.type === "object" || document.properties)) {
+    throw new Error("expected a JSON Schema with type \"object\" at the root");
+  }
+  if (document.$schema && document.$schema !== JSON_SCHEMA_DIALECT) {
+    throw new Error(`unsupported $schema ${document.$schema}; expected ${JSON_SCHEMA_DIALECT}`);
+  }
+
+  const warnings = [];
+  return { schema: jsonSchemaToObject(document, [], warnings), warnings };
+}
+
+function jsonSchemaToObject(node, path, warnings) {
+  const properties = node.properties || {};
+  const required = new Set(node.required || []);
+  const conditionals = {};
+  const fields = {};
+  const defaults = {};
+
+  warnUnsupportedKeywords(node, JSON_SCHEMA_KEYWORDS.object, path, warnings);
+
+  (node.allOf || []).forEach((entry, index) => {
+    const parsed = jsonSchemaToConditional(entry, path, warnings);
+    if (parsed) conditionals[parsed.name] = parsed;
+    else warnings.push(`${describeJsonPath([...path, `allOf[${index}]`])}: only if/then/else on a single field maps to ExJoi.when/3; entry ignored`);
+  });
+
+  Object.entries(properties).forEach(([name, property]) => {
+    const fieldPath = [...path, name];
+    const conditional = conditionals[name];
+    if ("default" in property) defaults[name] = property.default;
+
+    if (conditional) {
+      const base = Object.keys(property).some((key) => !JSON_SCHEMA_ANNOTATIONS.includes(key))
+        ? jsonSchemaToRule(property, fieldPath, warnings, false)
+        : null;
+      fields[name] = ExJoi.when(conditional.field, { ...conditional.opts, required: required.has(name) }, base);
+      return;
+    }
+
+    const rule = jsonSchemaToRule(property, fieldPath, warnings, required.has(name));
+    if (rule) fields[name] = rule;
+  });
+
+  Object.keys(conditionals).forEach((name) => {
+    if (!properties[name]) {
+      fields[name] = ExJoi.when(conditionals[name].field, { ...conditionals[name].opts, required: required.has(name) });
+    }
+  });
+  required.forEach((name) => {
+    if (!fields[name]) warnings.push(`${describeJsonPath([...path, name])}: required but has no mappable schema; skipped`);
+  });
+
+  return ExJoi.schema(fields, { defaults });
+}
+
+// Reads the `allOf` shape written by `conditionalToJsonSchema` back into `ExJoi.when/3` options.
+function jsonSchemaToConditional(entry, path, warnings) {
+  const condition = entry.if && entry.if.properties;
+  const thenProps = entry.then && entry.then.properties;
+  if (!condition || !thenProps || Object.keys(condition).length !== 1 || Object.keys(thenProps).length !== 1) return null;
+
+  const [field] = Object.keys(condition);
+  const [name] = Object.keys(thenProps);
+  const elseProps = entry.else && entry.else.properties;
+  if (entry.else && (!elseProps || Object.keys(elseProps).join() !== name)) return null;
+
+  const check = condition[field];
+  if (!isPlainObject(check)) return null;
+  const fieldPath = [...path, name];
+  const opts = {};
+  if ("const" in check) opts.is = check.const;
+  if (Array.isArray(check.enum)) opts.in = check.enum;
+  if (check.pattern) opts.matches = new RegExp(check.pattern);
+  if (check.type === "integer" && check.minimum != null && check.maximum != null) {
+    opts.in = { kind: "range", first: check.minimum, last: check.maximum };
+  } else {
+    if (check.minimum != null) opts.min = check.minimum;
+    if (check.maximum != null) opts.max = check.maximum;
+  }
+  warnUnsupportedKeywords(check, ["type", "const", "enum", "pattern", "minimum", "maximum"], [...path, field], warnings);
+  if (!Object.keys(opts).length) return null;
+
+  const branch = (schema) => jsonSchemaToRule(schema.properties[name], fieldPath, warnings, (schema.required || []).includes(name));
+  opts.then = branch(entry.then);
+  if (!opts.then) return null;
+  if (entry.else) opts.otherwise = branch(entry.else);
+  return { name, field, opts };
+}
+
+function jsonSchemaToRule(node, path, warnings, required) {
+  const where = describeJsonPath(path);
+  if (node === true || (isPlainObject(node) && Object.keys(node).every((key) => JSON_SCHEMA_ANNOTATIONS.includes(key)))) {
+    warnings.push(`${where}: accepts any value, which ExJoi cannot express; field skipped`);
+    return null;
+  }
+  if (!isPlainObject(node)) {
+    warnings.push(`${where}: unsupported schema ${JSON.stringify(node)}; field skipped`);
+    return null;
+  }
+  if (node.$ref) {
+    warnings.push(`${where}: $ref is not resolved; field skipped`);
+    return null;
+  }
+
+  const type = jsonSchemaType(node, where, warnings, required);
+  if (!type) return null;
+  if (type !== "object") warnUnsupportedKeywords(node, JSON_SCHEMA_KEYWORDS[type], path, warnings);
+
+  switch (type) {
+    case "string":
+      return jsonSchemaToStringRule(node, where, warnings, required);
+    case "number":
+    case "integer":
+      return ExJoi.number({ required, min: node.minimum, max: node.maximum, integer: type === "integer" });
+    case "boolean":
+      return ExJoi.boolean({ required });
+    case "array":
+      return ExJoi.array({
+        required,
+        of: node.items === undefined ? null : jsonSchemaToRule(node.items, [...path, "items"], warnings, false),
+        minItems: node.minItems,
+        maxItems: node.maxItems,
+        unique: node.uniqueItems,
+      });
+    default:
+      return ExJoi.object(jsonSchemaToObject(node, path, warnings), { required });
+  }
+}
+
+function jsonSchemaToStringRule(node, where, warnings, required) {
+  if (node.format === "date-time" || node.format === "date") {
+    if (node.format === "date") warnings.push(`${where}: format "date" became ExJoi.date(), which expects a full ISO8601 date-time`);
+    return ExJoi.date({ required });
+  }
+  if (node.format && node.format !== "email") {
+    warnings.push(`${where}: format "${node.format}" has no ExJoi equivalent and was ignored`);
+  }
+
+  const choices = "const" in node ? [node.const] : node.enum;
+  let pattern = node.pattern ? new RegExp(node.pattern) : null;
+  if (choices) {
+    if (pattern) warnings.push(`${where}: pattern was replaced by the enum allow-list`);
+    pattern = new RegExp(`^(${choices.map((choice) => String(choice).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})$`);
+  }
+
+  return ExJoi.string({
+    required,
+    min: node.minLength,
+    max: node.maxLength,
+    pattern,
+    email: node.format === "email",
+  });
+}
+
+// Resolves `type` (inferring it from other keywords when absent) to one of JSON_SCHEMA_KEYWORDS' keys.
+function jsonSchemaType(node, where, warnings, required) {
+  let types = [].concat(node.type || []);
+  if (types.includes("null")) {
+    if (required) warnings.push(`${where}: null is allowed, but ExJoi treats null as missing for required fields`);
+    types = types.filter((type) => type !== "null");
+  }
+  if (!types.length) {
+    const choices = "const" in node ? [node.const] : node.enum;
+    if (node.properties) types = ["object"];
+    else if (node.items) types = ["array"];
+    else if (node.format || node.pattern || (choices && choices.every((choice) => typeof choice === "string"))) types = ["string"];
+  }
+
+  if (types.length !== 1 || !JSON_SCHEMA_KEYWORDS[types[0]]) {
+    warnings.push(`${where}: type ${JSON.stringify(node.type ?? "(none)")} cannot be mapped to a single ExJoi rule; field skipped`);
+    return null;
+  }
+  if (types[0] !== "string" && (node.enum || "const" in node)) {
+    warnings.push(`${where}: enum/const is only mapped for strings and was ignored`);
+  }
+  return types[0];
+}
+
+function warnUnsupportedKeywords(node, allowed, path, warnings) {
+  Object.keys(node).forEach((key) => {
+    if (allowed.includes(key) || JSON_SCHEMA_ANNOTATIONS.includes(key)) return;
+    if ((key === "enum" || key === "const") && allowed !== JSON_SCHEMA_KEYWORDS.string) return;
+    warnings.push(`${describeJsonPath(path)}: "${key}" is not supported and was ignored`);
+  });
+}
+
+function describeJsonPath(path) {
+  return path.length ? pathToString(path) : "(root)";
+}
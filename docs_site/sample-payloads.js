@@ -0,0 +1,309 @@
+// Sample payloads for any schema: a minimal and a maximal valid payload, a valid payload per
+// `ExJoi.when/3` branch and one invalid payload per constraint, each checked against the engine.
+
+const SAMPLE_STRINGS = ["sample", "Sample", "SAMPLE", "sample-1", "sample_1", "sample text", "12345", "a1b2c3", "2025-01-15", "https://example.com"];
+
+// Resolves to `{ convert, samples, notes }`. Samples are `{ kind: "valid" | "invalid", label, payload }`
+// and invalid ones add the `path` and `code` they trigger. A sample that does not validate as
+// labeled is left out and explained in `notes`. JSON only carries dates as strings, so convert
+// mode is on for schemas with date fields.
+async function generateSamplePayloads(schema) {
+  // The same rule is sampled for every payload, so a Set keeps each note once.
+  const ctx = { convert: schemaHasDates(schema), notes: new Set() };
+  const minimal = sampleObject(schema, "minimal", 0, ctx);
+  const maximal = sampleObject(schema, "maximal", 0, ctx);
+  const candidates = [
+    { kind: "valid", label: "Minimal valid payload", payload: minimal },
+    { kind: "valid", label: "Maximal valid payload", payload: maximal },
+    ...objectSampleCases(schema, maximal, [], ctx),
+  ];
+  const samples = [];
+  for (const sample of candidates) {
+    if (await checkSample(sample, schema, ctx)) samples.push(sample);
+  }
+  return { convert: ctx.convert, samples, notes: [...ctx.notes] };
+}
+
+function schemaHasDates(schema) {
+  const ruleHasDates = (rule) => {
+    if (!rule) return false;
+    if (rule.type === "date") return true;
+    if (rule.type === "object") return schemaHasDates(rule.schema);
+    if (rule.type === "array") return ruleHasDates(rule.of);
+    if (rule.type === "conditional") return [rule.conditional.then, rule.conditional.otherwise].some(ruleHasDates);
+    return false;
+  };
+  return Object.values(schema.fields).some(ruleHasDates);
+}
+
+// `fixed` pins fields to a value (or leaves them out when it is undefined). Conditional fields
+// are filled last, once the values they read are known.
+function sampleObject(schema, mode, variant, ctx, fixed = {}) {
+  const defaults = schema.defaults || {};
+  const data = {};
+  const fill = (field, rule, required) => {
+    if (Object.prototype.hasOwnProperty.call(fixed, field)) {
+      if (fixed[field] !== undefined) data[field] = fixed[field];
+    } else if (rule && (mode === "maximal" || (required && !(field in defaults)))) {
+      data[field] = sampleValue(rule, mode, variant, ctx);
+    }
+  };
+
+  const entries = Object.entries(schema.fields);
+  entries.filter(([, rule]) => rule.type !== "conditional").forEach(([field, rule]) => fill(field, rule, rule.required));
+  entries
+    .filter(([, rule]) => rule.type === "conditional")
+    .forEach(([field, rule]) => {
+      const effectiveRule = resolveConditionalRule(rule.conditional, applyDefaults(data, defaults));
+      fill(field, effectiveRule, rule.required || Boolean(effectiveRule && effectiveRule.required));
+    });
+
+  return Object.fromEntries(entries.filter(([field]) => field in data).map(([field]) => [field, data[field]]));
+}
+
+// `variant` picks a different value of the same shape, which keeps `unique: true` items apart.
+function sampleValue(rule, mode, variant, ctx) {
+  switch (rule.type) {
+    case "string":
+      return sampleString(rule, mode, variant, ctx);
+    case "number":
+      return sampleNumber(rule, mode, variant);
+    case "boolean":
+      return (mode === "maximal") === (variant % 2 === 0);
+    case "date":
+      return `2025-01-${String(15 + (variant % 14)).padStart(2, "0")}T10:30:00Z`;
+    case "array": {
+      const count = mode === "minimal" ? rule.minItems ?? 0 : rule.maxItems ?? Math.max(rule.minItems ?? 0, 2);
+      return Array.from({ length: count }, (_, index) =>
+        rule.of ? sampleValue(rule.of, mode, variant * count + index, ctx) : `item${variant * count + index + 1}`
+      );
+    }
+    case "object":
+      return sampleObject(rule.schema, mode, variant, ctx);
+    case "conditional":
+      return sampleValue(rule.conditional.then, mode, variant, ctx);
+    case "custom": {
+      ctx.notes.add(`Custom type :${rule.customType} has no sample value, so its fields hold a placeholder.`);
+      return `<${rule.customType}>`;
+    }
+    default:
+      return null;
+  }
+}
+
+function sampleNumber(rule, mode, variant) {
+  const low = rule.min == null ? null : rule.integer ? Math.ceil(rule.min) : rule.min;
+  const high = rule.max == null ? null : rule.integer ? Math.floor(rule.max) : rule.max;
+  const value =
+    mode === "minimal"
+      ? (low ?? (high != null ? Math.min(0, high) : 0)) + variant
+      : (high ?? (low ?? 0) + 100) - variant;
+  return Math.min(high ?? Infinity, Math.max(low ?? -Infinity, value));
+}
+
+function sampleString(rule, mode, variant, ctx) {
+  const min = rule.min ?? 0;
+  const max = rule.max ?? Infinity;
+  const length = Math.min(max, mode === "minimal" ? Math.max(min, 1) : Number.isFinite(max) ? max : Math.max(min, 12));
+
+  if (rule.pattern) {
+    const match = findSampleString(rule, (text) => patternTest(rule.pattern, text), mode, variant);
+    if (match !== null) return match;
+    ctx.notes.add(`No sample string matches ${formatElixirTerm(rule.pattern)}, so payloads using it fail validation.`);
+  }
+  if (rule.email) return sampleEmail(min, max, variant);
+  return sampleLetters(length, variant);
+}
+
+function sampleLetters(length, variant = 0) {
+  return Array.from({ length }, (_, index) => String.fromCharCode(97 + ((variant + index) % 26))).join("");
+}
+
+function sampleEmail(min, max, variant) {
+  for (const domain of ["example.com", "b.co"]) {
+    const local = Math.max(1, min - domain.length - 1);
+    if (local + domain.length + 1 <= max) return `${sampleLetters(local, variant)}@${domain}`;
+  }
+  return `${sampleLetters(1, variant)}@b.co`;
+}
+
+// Candidates are the allow-list of a `~r/^(a|b)$/` pattern, a few common shapes and letter and
+// digit runs at the allowed lengths; `variant` rotates through the ones `accept` keeps.
+function findSampleString(rule, accept, mode, variant) {
+  const min = rule.min ?? 0;
+  const max = rule.max ?? Infinity;
+  const lengths = [min, Number.isFinite(max) ? max : 12, 1, 5, 8, 12].filter((length) => length >= min && length <= max);
+  const choices = rule.pattern ? patternChoices(rule.pattern) || [] : [];
+  const candidates = [
+    ...(mode === "minimal" ? choices : [...choices].reverse()),
+    ...SAMPLE_STRINGS,
+    ...lengths.flatMap((length) => [sampleLetters(length), sampleLetters(length).toUpperCase(), "1234567890".repeat(Math.ceil(length / 10)).slice(0, length)]),
+  ];
+  const matches = [...new Set(candidates)].filter((text) => [...text].length >= min && [...text].length <= max && accept(text));
+  return matches.length ? matches[variant % matches.length] : null;
+}
+
+function patternTest(pattern, text) {
+  return new RegExp(pattern.source, pattern.flags.replace("g", "")).test(text);
+}
+
+function objectSampleCases(schema, root, path, ctx) {
+  const data = path.reduce((cursor, segment) => cursor[segment], root);
+  const defaults = schema.defaults || {};
+  return Object.entries(schema.fields).flatMap(([field, rule]) => {
+    if (rule.type === "conditional") return branchSampleCases(schema, field, rule, root, path, ctx);
+    const required = rule.required && !(field in defaults);
+    return ruleSampleCases(rule, root, data[field], [...path, field], { required }, ctx);
+  });
+}
+
+// One valid payload per branch, with the field it reads set to select that branch, followed by the
+// invalid payloads for the branch's own rule.
+function branchSampleCases(schema, field, rule, root, path, ctx) {
+  const { field: other, checks, then, otherwise, base } = rule.conditional;
+  const fieldPath = [...path, field];
+  const defaults = schema.defaults || {};
+
+  return [
+    ["then", then, true],
+    ["otherwise", otherwise || base, false],
+  ].flatMap(([branch, branchRule, met]) => {
+    const selector = findConditionValue(schema, other, checks, met, ctx);
+    if (!selector) {
+      ctx.notes.add(`No value of ${other} selects the ${branch} branch of ${pathToString(fieldPath)}.`);
+      return [];
+    }
+
+    const level = sampleObject(schema, "maximal", 0, ctx, { [other]: selector.value });
+    const variant = path.length ? replaceAtPath(root, path, level) : level;
+    const reads = selector.value === undefined ? `${other} missing` : `${other} = ${JSON.stringify(selector.value)}`;
+    const required = (rule.required || Boolean(branchRule && branchRule.required)) && !(field in defaults);
+    return [
+      { kind: "valid", label: `${pathToString(fieldPath)}: ${branch} branch (${reads})`, payload: variant },
+      ...(branchRule
+        ? ruleSampleCases(branchRule, variant, level[field], fieldPath, { required, suffix: ` (${branch} branch)` }, ctx)
+        : []),
+    ];
+  });
+}
+
+// `{ value }` for the first candidate that meets (or misses) the checks and that the field's own
+// rule accepts; `value` is undefined when leaving the field out does it.
+function findConditionValue(schema, field, checks, met, ctx) {
+  const rule = schema.fields[field];
+  const candidates = [checks.is, ...(Array.isArray(checks.in) ? checks.in : [])];
+  if (checks.in && checks.in.kind === "range") candidates.push(checks.in.first, checks.in.last, checks.in.first - 1, checks.in.last + 1);
+  if (checks.min !== null) candidates.push(checks.min, checks.min - 1);
+  if (checks.max !== null) candidates.push(checks.max, checks.max + 1);
+  if (checks.matches) candidates.push(...(patternChoices(checks.matches) || []), ...SAMPLE_STRINGS);
+  if (rule && rule.type !== "conditional") {
+    [0, 1, 2, 3].forEach((variant) => candidates.push(sampleValue(rule, "minimal", variant, ctx), sampleValue(rule, "maximal", variant, ctx)));
+  }
+  candidates.push("other", 0, -1, true, false, undefined);
+
+  const defaults = schema.defaults || {};
+  let selector = null;
+  candidates.some((candidate, index) => {
+    if (candidate === null || candidates.indexOf(candidate) !== index) return false;
+    const compared = candidate === undefined ? defaults[field] ?? null : candidate;
+    if (conditionMet(compared, checks) !== met) return false;
+    if (candidate === undefined && rule && rule.required && !(field in defaults)) return false;
+    if (candidate !== undefined && rule && !validateValue(candidate, rule, { convert: ctx.convert, pending: [] }, {}, []).ok) return false;
+    selector = { value: candidate };
+    return true;
+  });
+  return selector;
+}
+
+function ruleSampleCases(rule, root, value, path, opts, ctx) {
+  const cases = [];
+  const flatPath = pathToString(path);
+  const add = (label, code, replacement) =>
+    cases.push({
+      kind: "invalid",
+      label: `${flatPath}: ${label}${opts.suffix || ""}`,
+      path: flatPath,
+      code,
+      payload: replaceAtPath(root, path, replacement),
+    });
+
+  if (opts.required) add("missing", "required", undefined);
+
+  switch (rule.type) {
+    case "string": {
+      add("not a string", "string", 42);
+      if (rule.min > 0) add(`shorter than min: ${rule.min}`, "string_min", sampleLetters(rule.min - 1));
+      if (rule.max != null) add(`longer than max: ${rule.max}`, "string_max", sampleLetters(rule.max + 1));
+      if (rule.pattern) {
+        const miss = findSampleString(rule, (text) => !patternTest(rule.pattern, text), "maximal", 0);
+        if (miss !== null) add(`does not match ${formatElixirTerm(rule.pattern)}`, "string_pattern", miss);
+      }
+      if (rule.email) add("not an email", "string_email", sampleString({ ...rule, email: false, pattern: null }, "maximal", 0, ctx));
+      break;
+    }
+    case "number": {
+      add("not a number", "number", "not a number");
+      if (rule.min != null) add(`below min: ${rule.min}`, "number_min", rule.min - 1);
+      if (rule.max != null) add(`above max: ${rule.max}`, "number_max", rule.max + 1);
+      const fraction = (rule.min ?? 0) + 0.5;
+      if (rule.integer && (rule.max == null || fraction <= rule.max)) add("not an integer", "number_integer", fraction);
+      break;
+    }
+    case "boolean":
+      add("not a boolean", "boolean", "maybe");
+      break;
+    case "date":
+      add("date without a time", "date", "2025-01-15");
+      break;
+    case "array": {
+      const list = Array.isArray(value) ? value : [];
+      add("not a list", "array", 42);
+      if (rule.minItems > 0) add(`fewer than min_items: ${rule.minItems}`, "array_min_items", list.slice(0, rule.minItems - 1));
+      if (rule.maxItems != null) {
+        const extra = sampleValue({ ...rule, maxItems: rule.maxItems + 1 }, "maximal", 0, ctx);
+        add(`more than max_items: ${rule.maxItems}`, "array_max_items", extra);
+      }
+      if (rule.unique && (rule.maxItems == null || rule.maxItems >= 2)) {
+        const item = list.length ? list[0] : sampleValue(rule.of || { type: "string" }, "maximal", 0, ctx);
+        add("duplicate item", "array_unique", list.length >= 2 ? [item, item, ...list.slice(2)] : [item, item]);
+      }
+      if (rule.of && list.length) {
+        cases.push(...ruleSampleCases(rule.of, root, list[0], [...path, 0], { suffix: opts.suffix }, ctx));
+      }
+      break;
+    }
+    case "object":
+      add("not a map", "object", "text");
+      if (rule.schema && isPlainObject(value)) cases.push(...objectSampleCases(rule.schema, root, path, ctx));
+      break;
+    default:
+      break;
+  }
+  return cases;
+}
+
+// Deep copy of `root` with the value at `path` replaced, or removed when `value` is undefined.
+function replaceAtPath(root, path, value) {
+  const copy = JSON.parse(JSON.stringify(root));
+  const parent = path.slice(0, -1).reduce((cursor, segment) => cursor[segment], copy);
+  const key = path[path.length - 1];
+  if (value === undefined) delete parent[key];
+  else parent[key] = value;
+  return copy;
+}
+
+// Samples are checked the way the sandbox will validate them once loaded.
+async function checkSample(sample, schema, ctx) {
+  const result = await ExJoi.validate(sample.payload, schema, { convert: ctx.convert, errorBuilder: defaultErrorBuilder });
+  const errors = result.status === "ok" ? [] : listErrors(result.errors);
+
+  if (sample.kind === "valid") {
+    if (!errors.length) return true;
+    ctx.notes.add(`Left out "${sample.label}": it fails with :${errors[0].code} at ${errors[0].path}.`);
+    return false;
+  }
+
+  if (errors.some((error) => error.path === sample.path && error.code === sample.code)) return true;
+  ctx.notes.add(`Left out "${sample.label}": it does not trigger :${sample.code}.`);
+  return false;
+}
@@ -0,0 +1,300 @@
+// Schema diff: compares two schemas rule by rule and classifies every change as breaking (some
+// payload that passed before now fails), relaxing (the reverse) or neutral (same payloads pass), and
+// replays a corpus of payloads against both versions to show which ones change outcome.
+
+const SCHEMA_CHANGE_KINDS = ["breaking", "relaxing", "neutral"];
+
+// `[{ kind, path, branch, message }]` in field order. `path` uses `*` for array items and `branch`
+// names the `ExJoi.when/3` branch ("then" or "otherwise") the change sits in, if any.
+function diffSchemas(before, after) {
+  const changes = [];
+  diffSchemaFields(before, after, [], null, changes);
+  return changes;
+}
+
+function diffSchemaFields(before, after, path, branch, changes) {
+  const add = (kind, fieldPath, message) => changes.push({ kind, path: pathToString(fieldPath), branch, message });
+  const names = [...new Set([...Object.keys(before.fields), ...Object.keys(after.fields)])];
+
+  names.forEach((name) => {
+    const fieldPath = [...path, name];
+    const oldRule = before.fields[name];
+    const newRule = after.fields[name];
+    if (!oldRule) {
+      if (newRule.required) add("breaking", fieldPath, `new required field (${describeDiffRule(newRule)})`);
+      else add("breaking", fieldPath, `new optional field (${describeDiffRule(newRule)}); payloads that already send it are now checked and can fail`);
+      return;
+    }
+    if (!newRule) {
+      add("relaxing", fieldPath, "field removed; its values are no longer checked or converted");
+      return;
+    }
+    diffRules(oldRule, newRule, fieldPath, branch, changes);
+  });
+
+  diffSchemaDefaults(before, after, path, add);
+}
+
+// A default fills a missing field before validation, so adding one relaxes a required field.
+function diffSchemaDefaults(before, after, path, add) {
+  const oldDefaults = before.defaults || {};
+  const newDefaults = after.defaults || {};
+  [...new Set([...Object.keys(oldDefaults), ...Object.keys(newDefaults)])].forEach((name) => {
+    const fieldPath = [...path, name];
+    const required = Boolean(after.fields[name] && after.fields[name].required);
+    if (!(name in oldDefaults)) {
+      add(required ? "relaxing" : "neutral", fieldPath, `default ${formatElixirTerm(newDefaults[name])} added`);
+    } else if (!(name in newDefaults)) {
+      add(required ? "breaking" : "neutral", fieldPath, `default ${formatElixirTerm(oldDefaults[name])} removed`);
+    } else if (!termsEqual(oldDefaults[name], newDefaults[name])) {
+      add("neutral", fieldPath, `default ${formatElixirTerm(oldDefaults[name])} → ${formatElixirTerm(newDefaults[name])}`);
+    }
+  });
+}
+
+function diffRules(before, after, path, branch, changes) {
+  const add = (kind, message) => changes.push({ kind, path: pathToString(path), branch, message });
+
+  // A plain rule turning into `when` (or back) is compared against each branch on the other side.
+  if (before.type === "conditional" || after.type === "conditional") {
+    diffConditionalRules(before, after, path, branch, changes);
+    return;
+  }
+
+  if (before.required !== after.required) {
+    add(after.required ? "breaking" : "relaxing", after.required ? "now required" : "no longer required");
+  }
+  if (before.type !== after.type) {
+    add("breaking", `type ${describeDiffRule(before)} → ${describeDiffRule(after)}`);
+    return;
+  }
+
+  switch (after.type) {
+    case "string":
+      diffBound(add, "min", before.min, after.min, "min");
+      diffBound(add, "max", before.max, after.max, "max");
+      diffFlag(add, "email", before.email, after.email);
+      if (String(before.pattern) !== String(after.pattern)) {
+        if (!before.pattern) add("breaking", `pattern ${formatElixirTerm(after.pattern)} added`);
+        else if (!after.pattern) add("relaxing", `pattern ${formatElixirTerm(before.pattern)} removed`);
+        else add("breaking", `pattern ${formatElixirTerm(before.pattern)} → ${formatElixirTerm(after.pattern)}; treated as stricter`);
+      }
+      break;
+    case "number":
+      diffBound(add, "min", before.min, after.min, "min");
+      diffBound(add, "max", before.max, after.max, "max");
+      diffFlag(add, "integer", before.integer, after.integer);
+      break;
+    case "boolean":
+      // Without their own lists, booleans take the defaults, as they do in convert mode.
+      diffValueSet(add, "truthy", before.truthy || DEFAULT_TRUTHY, after.truthy || DEFAULT_TRUTHY);
+      diffValueSet(add, "falsy", before.falsy || DEFAULT_FALSY, after.falsy || DEFAULT_FALSY);
+      break;
+    case "array":
+      diffBound(add, "min_items", before.minItems, after.minItems, "min");
+      diffBound(add, "max_items", before.maxItems, after.maxItems, "max");
+      diffFlag(add, "unique", before.unique, after.unique);
+      if (before.delimiter !== after.delimiter) {
+        add("breaking", `delimiter ${formatElixirTerm(before.delimiter)} → ${formatElixirTerm(after.delimiter)}; strings split differently`);
+      }
+      if (!before.of && after.of) add("breaking", `items now checked as ${describeDiffRule(after.of)}`);
+      else if (before.of && !after.of) add("relaxing", "items no longer checked");
+      else if (before.of) diffRules(before.of, after.of, [...path, "*"], branch, changes);
+      break;
+    case "object":
+      diffSchemaFields(before.schema, after.schema, path, branch, changes);
+      break;
+    case "custom":
+      if (before.customType !== after.customType) {
+        add("breaking", `custom type :${before.customType} → :${after.customType}`);
+      } else {
+        const withoutRequired = (opts) => Object.fromEntries(Object.entries(opts || {}).filter(([key]) => key !== "required"));
+        if (!termsEqual(withoutRequired(before.customOpts), withoutRequired(after.customOpts))) {
+          add("breaking", "custom validator options changed; the effect depends on the validator, so treated as stricter");
+        }
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function diffConditionalRules(before, after, path, branch, changes) {
+  const add = (kind, message) => changes.push({ kind, path: pathToString(path), branch, message });
+  // `required` on the `when` itself applies to whichever branch is chosen, as in `validateField`.
+  const withRequired = (branchRule, required) => branchRule && { ...branchRule, required: required || branchRule.required };
+  const branches = (rule) =>
+    rule.type === "conditional"
+      ? { then: withRequired(rule.conditional.then, rule.required), otherwise: withRequired(rule.conditional.otherwise, rule.required) }
+      : { then: rule, otherwise: rule };
+
+  if (before.type === "conditional" && after.type === "conditional") {
+    const oldCondition = before.conditional;
+    const newCondition = after.conditional;
+    if (oldCondition.field !== newCondition.field || !sameConditionChecks(oldCondition.checks, newCondition.checks)) {
+      add(
+        "breaking",
+        `condition ${describeDiffCondition(oldCondition)} → ${describeDiffCondition(newCondition)}; payloads may move to the stricter branch`
+      );
+    }
+  } else if (after.type === "conditional") {
+    add("neutral", `now chosen by ${describeDiffCondition(after.conditional)}; each branch is compared with the old rule`);
+  } else {
+    add("neutral", `no longer chosen by ${describeDiffCondition(before.conditional)}; the rule is compared with each old branch`);
+  }
+
+  const oldBranches = branches(before);
+  const newBranches = branches(after);
+  ["then", "otherwise"].forEach((name) => {
+    const oldRule = oldBranches[name];
+    const newRule = newBranches[name];
+    const at = branch ? `${branch}, ${name}` : name;
+    if (!oldRule && !newRule) return;
+    if (!oldRule) changes.push({ kind: "breaking", path: pathToString(path), branch: at, message: `now checked as ${describeDiffRule(newRule)}` });
+    else if (!newRule) changes.push({ kind: "relaxing", path: pathToString(path), branch: at, message: "no longer checked" });
+    else diffRules(oldRule, newRule, path, at, changes);
+  });
+}
+
+// For a lower bound (`min`) a higher value is stricter; for an upper bound (`max`) a lower one.
+function diffBound(add, name, before, after, direction) {
+  if (before === after) return;
+  if (before === null) {
+    add("breaking", `${name}: ${after} added`);
+  } else if (after === null) {
+    add("relaxing", `${name}: ${before} removed`);
+  } else {
+    const stricter = direction === "min" ? after > before : after < before;
+    add(stricter ? "breaking" : "relaxing", `${name}: ${before} → ${after}`);
+  }
+}
+
+function diffFlag(add, name, before, after) {
+  if (Boolean(before) === Boolean(after)) return;
+  add(after ? "breaking" : "relaxing", `${name}: ${Boolean(after)}`);
+}
+
+// Values dropped from an accepted list make the rule stricter, values added make it looser.
+function diffValueSet(add, name, before, after) {
+  const includes = (list, value) => list.some((other) => normalizeBooleanValue(other) === normalizeBooleanValue(value));
+  const removed = before.filter((value) => !includes(after, value));
+  const added = after.filter((value) => !includes(before, value));
+  if (removed.length) add("breaking", `${name} no longer accepts ${removed.map((value) => formatElixirTerm(value)).join(", ")}`);
+  if (added.length) add("relaxing", `${name} now accepts ${added.map((value) => formatElixirTerm(value)).join(", ")}`);
+}
+
+function sameConditionChecks(before, after) {
+  return Object.keys(before).every((key) => String(before[key]) === String(after[key]) && termsEqual(before[key], after[key]));
+}
+
+function describeDiffCondition(conditional) {
+  const checks = Object.entries(conditional.checks)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => `${key}: ${value && value.kind === "range" ? `${value.first}..${value.last}` : formatElixirTerm(value)}`);
+  return `:${conditional.field} ${checks.join(", ")}`;
+}
+
+function describeDiffRule(rule) {
+  if (rule.type === "custom") return `custom :${rule.customType}`;
+  if (rule.type === "conditional") return `when :${rule.conditional.field}`;
+  return rule.type;
+}
+
+// Validates every record of a JSON array or NDJSON corpus (see `parseBatchRecords`) against both
+// schemas with `ExJoi.validate` and resolves to one entry per record, `{ index, line, value, before,
+// after, change }`, where `before`/`after` are error lists and `change` is "now fails", "now passes",
+// "errors changed" or null.
+async function replaySchemaCorpus(text, before, after, convert) {
+  const outcome = async (value, schema) => {
+    const result = await ExJoi.validate(value, schema, { convert, errorBuilder: defaultErrorBuilder });
+    return result.status === "ok" ? [] : listErrors(result.errors);
+  };
+  const signature = (errors) => errors.map((error) => `${error.path}:${error.code}`).sort().join(" ");
+
+  const entries = [];
+  for (const record of parseBatchRecords(text)) {
+    if ("parseError" in record) continue;
+    const beforeErrors = await outcome(record.value, before);
+    const afterErrors = await outcome(record.value, after);
+    let change = null;
+    if (!beforeErrors.length && afterErrors.length) change = "now fails";
+    else if (beforeErrors.length && !afterErrors.length) change = "now passes";
+    else if (signature(beforeErrors) !== signature(afterErrors)) change = "errors changed";
+    entries.push({ ...record, before: beforeErrors, after: afterErrors, change });
+  }
+  return entries;
+}
+
+// Lists the changes grouped by kind and, when a corpus was replayed, the payloads whose outcome
+// changed. `onOpen(entry)` is called from a payload's "Open in sandbox" button.
+function renderSchemaDiff(container, changes, replay, onOpen) {
+  const badgeClass = {
+    breaking: "border-rose-500/40 bg-rose-500/10 text-rose-300",
+    relaxing: "border-emerald-500/40 bg-emerald-500/10 text-emerald-300",
+    neutral: "border-slate-700 text-slate-400",
+  };
+  const badge = (text, kind) => {
+    const span = document.createElement("span");
+    span.className = `rounded-full border px-2 py-0.5 text-xs ${badgeClass[kind]}`;
+    span.textContent = text;
+    return span;
+  };
+
+  const changeList = document.createElement("ul");
+  changeList.className = "space-y-2";
+  if (!changes.length) {
+    changeList.innerHTML = `<li class="text-sm text-slate-500">The schemas accept the same payloads.</li>`;
+  }
+  SCHEMA_CHANGE_KINDS.forEach((kind) =>
+    changes
+      .filter((change) => change.kind === kind)
+      .forEach((change) => {
+        const item = document.createElement("li");
+        item.className = "flex flex-wrap items-center gap-2 rounded-2xl border border-slate-800 bg-slate-950/60 px-3 py-2 text-sm";
+        item.innerHTML = `<span class="font-mono text-slate-100"></span><span class="text-slate-300"></span>`;
+        const [path, message] = item.children;
+        path.textContent = change.branch ? `${change.path} (${change.branch})` : change.path;
+        message.textContent = change.message;
+        item.prepend(badge(kind, kind));
+        changeList.append(item);
+      })
+  );
+
+  const counts = document.createElement("p");
+  counts.className = "text-xs text-slate-500";
+  counts.textContent = SCHEMA_CHANGE_KINDS.map((kind) => `${changes.filter((change) => change.kind === kind).length} ${kind}`).join(", ");
+  container.replaceChildren(counts, changeList);
+  if (!replay) return;
+
+  const changed = replay.filter((entry) => entry.change);
+  const summary = document.createElement("p");
+  summary.className = "text-sm text-slate-400";
+  const count = (change) => changed.filter((entry) => entry.change === change).length;
+  summary.textContent = `Replayed ${replay.length} payload${replay.length === 1 ? "" : "s"}: ${count("now fails")} now fail, ${count("now passes")} now pass, ${count("errors changed")} fail differently, ${replay.length - changed.length} unchanged.`;
+
+  const describeErrors = (errors) => (errors.length ? errors.map((error) => `${error.path} :${error.code}`).join(", ") : "ok");
+  const replayList = document.createElement("ul");
+  replayList.className = "space-y-2";
+  changed.forEach((entry) => {
+    const item = document.createElement("li");
+    item.className = "rounded-2xl border border-slate-800 bg-slate-950/60 p-3 space-y-2 text-xs";
+    item.innerHTML = `
+      <div class="flex flex-wrap items-center justify-between gap-2">
+        <div class="flex flex-wrap items-center gap-2"><span class="font-mono text-slate-300"></span></div>
+        <button type="button" class="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200 hover:bg-slate-800">Open in sandbox</button>
+      </div>
+      <pre class="text-slate-400 whitespace-pre-wrap break-all"></pre>
+      <p class="text-slate-500">Before: <span class="text-slate-300"></span></p>
+      <p class="text-slate-500">After: <span class="text-slate-300"></span></p>
+    `;
+    item.querySelector("span").textContent = `#${entry.index}${entry.line ? ` (line ${entry.line})` : ""}`;
+    item.querySelector("div > div").append(badge(entry.change, entry.change === "now passes" ? "relaxing" : "breaking"));
+    item.querySelector("pre").textContent = JSON.stringify(entry.value);
+    const [beforeText, afterText] = item.querySelectorAll("p > span");
+    beforeText.textContent = describeErrors(entry.before);
+    afterText.textContent = describeErrors(entry.after);
+    item.querySelector("button").addEventListener("click", () => onOpen(entry));
+    replayList.append(item);
+  });
+  container.append(summary, replayList);
+}
@@ -0,0 +1,308 @@
+// Schema-driven form: renders inputs for any ExJoi schema, validates with the in-browser engine and
+// shows `errors_flat` messages under the field whose name matches the flat path.
+
+const FORM_INPUT_CLASS = "mt-1 w-full rounded-2xl border border-slate-700 bg-slate-900 px-3 py-2 text-white";
+const FORM_BUTTON_CLASS = "rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200 hover:bg-slate-800";
+
+// Builds the form inside `container` and returns `{ read, validate }`. Options: `convert` (a
+// function returning the current convert flag) and `onResult(result)`, called after every validation.
+function renderSchemaForm(container, schema, opts = {}) {
+  const form = document.createElement("form");
+  form.className = "space-y-4";
+  form.noValidate = true;
+
+  const touched = new Set();
+  let submitted = false;
+
+  const root = buildObjectControl(schema, [], () => root.refresh());
+  const formErrors = document.createElement("ul");
+  formErrors.className = "text-sm text-rose-400 space-y-1";
+  const submitBtn = document.createElement("button");
+  submitBtn.type = "submit";
+  submitBtn.className = "w-full rounded-2xl bg-gradient-to-r from-sky-500 to-emerald-400 py-2 font-semibold text-slate-950";
+  submitBtn.textContent = "Submit";
+
+  form.append(root.element, formErrors, submitBtn);
+  container.replaceChildren(form);
+  root.refresh();
+
+  function validate() {
+    const value = root.read() || {};
+    return Promise.resolve(ExJoi.validate(value, schema, { convert: opts.convert ? opts.convert() : false })).then((result) => {
+      showFormErrors(form, formErrors, result.status === "ok" ? {} : result.errors_flat || {}, (path) =>
+        submitted || Array.from(touched).some((touchedPath) => path === touchedPath || path.startsWith(`${touchedPath}.`))
+      );
+      if (opts.onResult) opts.onResult(result);
+      return result;
+    });
+  }
+
+  form.addEventListener("focusout", (event) => {
+    const field = event.target.closest("[data-path]");
+    if (!field || !event.target.matches("input, select, textarea")) return;
+    touched.add(field.dataset.path);
+    validate();
+  });
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    submitted = true;
+    validate();
+  });
+
+  return { read: () => root.read() || {}, validate };
+}
+
+// Every control is `{ element, read(), refresh() }`; `read` returns undefined for an empty input so
+// the key is left out of the payload, and `refresh` re-evaluates `when` conditions below it.
+function buildRuleControl(rule, path, onChange, suggestions) {
+  switch (rule.type) {
+    case "object":
+      return buildObjectControl(rule.schema, path, onChange, rule);
+    case "array":
+      return buildArrayControl(rule, path, onChange);
+    case "boolean":
+      return buildCheckboxControl(path, onChange);
+    default:
+      return buildInputControl(rule, path, onChange, suggestions);
+  }
+}
+
+function buildObjectControl(schema, path, onChange, rule = null) {
+  const element = document.createElement(path.length ? "fieldset" : "div");
+  element.className = path.length ? "rounded-2xl border border-slate-800 p-4 space-y-4" : "space-y-4";
+  if (path.length) {
+    const legend = document.createElement("legend");
+    legend.className = "px-2 text-sm text-slate-400";
+    legend.textContent = `${path[path.length - 1]}${rule && rule.required ? " *" : ""}`;
+    element.appendChild(legend);
+  }
+
+  const suggestions = conditionSuggestions(schema);
+  const fields = Object.entries(schema.fields).map(([name, fieldRule]) =>
+    buildFieldWrapper(name, fieldRule, [...path, name], onChange, suggestions[name])
+  );
+  fields.forEach((field) => element.appendChild(field.element));
+
+  const read = () => {
+    const value = {};
+    fields.forEach((field) => {
+      const fieldValue = field.read();
+      if (fieldValue !== undefined) value[field.name] = fieldValue;
+    });
+    return value;
+  };
+
+  return {
+    element,
+    read: () => {
+      const value = read();
+      return path.length && Object.keys(value).length === 0 ? undefined : value;
+    },
+    refresh: () => {
+      const siblings = read();
+      fields.forEach((field) => field.refresh(siblings));
+    },
+  };
+}
+
+// A labelled field with its error slot. Conditional rules are resolved against the sibling values
+// on every refresh; the control is rebuilt when the active branch changes and hidden when none applies.
+function buildFieldWrapper(name, rule, path, onChange, suggestions) {
+  const element = document.createElement("div");
+  element.dataset.path = pathToString(path);
+  const errorSlot = document.createElement("p");
+  errorSlot.className = "mt-1 text-xs text-rose-400";
+  errorSlot.dataset.errorFor = pathToString(path);
+
+  let activeRule = null;
+  let control = null;
+
+  function mount(nextRule) {
+    activeRule = nextRule;
+    control = nextRule ? buildRuleControl(nextRule, path, onChange, suggestions) : null;
+    element.replaceChildren();
+    element.classList.toggle("hidden", !control);
+    if (!control) return;
+
+    if (nextRule.type === "object") {
+      element.append(control.element, errorSlot);
+      return;
+    }
+    const label = document.createElement("label");
+    label.className = "block";
+    const caption = document.createElement("span");
+    caption.className = "text-sm text-slate-400";
+    caption.textContent = `${name}${nextRule.required ? " *" : ""}`;
+    label.append(caption, control.element);
+    element.append(label, errorSlot);
+  }
+
+  mount(rule.type === "conditional" ? null : rule);
+
+  return {
+    name,
+    element,
+    read: () => (control ? control.read() : undefined),
+    refresh: (siblings) => {
+      if (rule.type === "conditional") {
+        const nextRule = resolveConditionalRule(rule.conditional, siblings);
+        if (nextRule !== activeRule) mount(nextRule);
+      }
+      if (control) control.refresh();
+    },
+  };
+}
+
+function buildInputControl(rule, path, onChange, suggestions) {
+  // `pattern: ~r/^(admin|editor|viewer)$/` is how an allow-list is written in ExJoi, so it becomes a select.
+  const choices = rule.type === "string" && rule.pattern ? patternChoices(rule.pattern) : null;
+  let input;
+
+  if (choices) {
+    input = document.createElement("select");
+    if (!rule.required) input.add(new Option("", ""));
+    choices.forEach((choice) => input.add(new Option(choice, choice)));
+  } else {
+    input = document.createElement("input");
+    input.type = { number: "number", string: rule.email ? "email" : "text" }[rule.type] || "text";
+    if (rule.type === "number") input.step = rule.integer ? "1" : "any";
+    if (rule.type === "date") input.placeholder = "2025-01-01T12:00:00Z";
+    if (rule.type === "custom") input.placeholder = `custom :${rule.customType}`;
+  }
+
+  input.name = pathToString(path);
+  input.className = FORM_INPUT_CLASS;
+  input.addEventListener("input", onChange);
+  input.addEventListener("change", onChange);
+
+  let element = input;
+  if (!choices && suggestions && suggestions.length) {
+    const list = document.createElement("datalist");
+    list.id = `schema-form-${input.name.replace(/\W/g, "-")}-options`;
+    suggestions.forEach((suggestion) => list.appendChild(new Option(suggestion)));
+    input.setAttribute("list", list.id);
+    element = document.createElement("div");
+    element.append(input, list);
+  }
+
+  return {
+    element,
+    read: () => {
+      if (input.value === "") return undefined;
+      if (rule.type === "number" && input.value.trim() !== "" && !Number.isNaN(Number(input.value))) {
+        return Number(input.value);
+      }
+      return input.value;
+    },
+    refresh: () => {},
+  };
+}
+
+function buildCheckboxControl(path, onChange) {
+  const element = document.createElement("div");
+  element.className = "mt-1";
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.name = pathToString(path);
+  input.className = "rounded border-slate-600 bg-slate-900";
+  input.addEventListener("change", onChange);
+  element.appendChild(input);
+  return { element, read: () => input.checked, refresh: () => {} };
+}
+
+function buildArrayControl(rule, path, onChange) {
+  const element = document.createElement("div");
+  element.className = "mt-1 space-y-2";
+  const rowsContainer = document.createElement("div");
+  rowsContainer.className = "space-y-2";
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = FORM_BUTTON_CLASS;
+  addBtn.textContent = "Add item";
+  element.append(rowsContainer, addBtn);
+
+  const itemRule = rule.of || ExJoi.string();
+  let rows = [];
+
+  // Rows are rebuilt on add/remove so every input keeps the index-based name the flat errors use.
+  function renderRows(values) {
+    rows = values.map((value, index) => {
+      const itemPath = [...path, index];
+      const row = document.createElement("div");
+      row.className = "flex items-start gap-2";
+      row.dataset.path = pathToString(itemPath);
+      const control = buildRuleControl(itemRule, itemPath, onChange);
+      restoreValue(control.element, value);
+      const body = document.createElement("div");
+      body.className = "flex-1";
+      const errorSlot = document.createElement("p");
+      errorSlot.className = "mt-1 text-xs text-rose-400";
+      errorSlot.dataset.errorFor = pathToString(itemPath);
+      body.append(control.element, errorSlot);
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = `${FORM_BUTTON_CLASS} mt-2`;
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", () => {
+        renderRows(rows.filter((_, rowIndex) => rowIndex !== index).map((entry) => entry.read()));
+        onChange();
+      });
+      row.append(body, removeBtn);
+      return { element: row, read: () => control.read(), refresh: () => control.refresh() };
+    });
+    rowsContainer.replaceChildren(...rows.map((row) => row.element));
+  }
+
+  addBtn.addEventListener("click", () => {
+    renderRows([...rows.map((row) => row.read()), undefined]);
+    onChange();
+  });
+  renderRows([]);
+
+  return {
+    element,
+    read: () => (rows.length ? rows.map((row) => row.read() ?? "") : undefined),
+    refresh: () => rows.forEach((row) => row.refresh()),
+  };
+}
+
+// Only leaf values are carried over when array rows are re-rendered.
+function restoreValue(element, value) {
+  if (value === undefined || value === null || typeof value === "object") return;
+  const input = element.matches("input, select") ? element : element.querySelector("input, select");
+  if (!input) return;
+  if (input.type === "checkbox") input.checked = Boolean(value);
+  else input.value = String(value);
+}
+
+// Values that `when` conditions compare a field against are offered as suggestions for that field.
+function conditionSuggestions(schema) {
+  const suggestions = {};
+  Object.values(schema.fields).forEach((rule) => {
+    if (rule.type !== "conditional") return;
+    const { field, checks } = rule.conditional;
+    const values = [checks.is, ...(Array.isArray(checks.in) ? checks.in : [])].filter((value) => typeof value === "string");
+    suggestions[field] = [...new Set([...(suggestions[field] || []), ...values])];
+  });
+  return suggestions;
+}
+
+function showFormErrors(form, formErrors, flat, visible) {
+  form.querySelectorAll("[data-error-for]").forEach((slot) => (slot.textContent = ""));
+  form.querySelectorAll("[name]").forEach((input) => input.classList.remove("border-rose-500"));
+  formErrors.replaceChildren();
+
+  Object.entries(flat).forEach(([path, messages]) => {
+    if (!visible(path)) return;
+    const slot = form.querySelector(`[data-error-for="${CSS.escape(path)}"]`);
+    if (slot) {
+      slot.textContent = messages.join(", ");
+      const input = form.querySelector(`[name="${CSS.escape(path)}"]`);
+      if (input) input.classList.add("border-rose-500");
+    } else {
+      const item = document.createElement("li");
+      item.textContent = `${path}: ${messages.join(", ")}`;
+      formErrors.appendChild(item);
+    }
+  });
+}
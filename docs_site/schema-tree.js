@@ -0,0 +1,229 @@
+// Schema structure view: draws any ExJoi schema as a collapsible tree with types, constraints and
+// `ExJoi.when/3` branches, and matches nodes against the errors of the last sandbox run.
+
+const TREE_NODE_CLASS = "inline-flex flex-wrap items-center gap-2 rounded-xl px-2 py-1 text-left text-xs hover:bg-slate-800/70";
+
+// Plain data for the tree: one node per field with `path` (array items are `"*"`), `type`,
+// `required`, Elixir-style `constraints`, `dependsOn` for `when` fields and `children`. The
+// `then`/`otherwise` branches of a `when` are child nodes with `branch` set and the field's path.
+function describeSchemaTree(schema, path = []) {
+  return Object.entries(schema.fields).map(([name, rule]) => describeRuleNode(name, rule, [...path, name]));
+}
+
+function describeRuleNode(label, rule, path, branch = false) {
+  const node = {
+    label,
+    path,
+    branch,
+    type: rule.type === "custom" ? `custom :${rule.customType}` : rule.type,
+    required: Boolean(rule.required),
+    constraints: describeRuleConstraints(rule),
+    dependsOn: null,
+    children: [],
+  };
+
+  if (rule.type === "object") {
+    node.children = describeSchemaTree(rule.schema, path);
+  } else if (rule.type === "array" && rule.of) {
+    node.children = [describeRuleNode("items", rule.of, [...path, "*"])];
+  } else if (rule.type === "conditional") {
+    const { field, checks, then, otherwise } = rule.conditional;
+    node.type = "when";
+    node.dependsOn = field;
+    node.constraints = [`:${field} ${formatTreeOptions(Object.entries(checks)).join(", ")}`];
+    node.children = [
+      describeRuleNode("then", then, path, true),
+      otherwise
+        ? describeRuleNode("otherwise", otherwise, path, true)
+        : { label: "otherwise", path, branch: true, type: "any", required: false, constraints: ["not validated"], dependsOn: null, children: [] },
+    ];
+  }
+  return node;
+}
+
+function describeRuleConstraints(rule) {
+  const options = {
+    string: () => [["min", rule.min], ["max", rule.max], ["pattern", rule.pattern], ["email", rule.email || null]],
+    number: () => [["min", rule.min], ["max", rule.max], ["integer", rule.integer || null]],
+    boolean: () => [["truthy", rule.truthy], ["falsy", rule.falsy]],
+    array: () => [
+      ["min_items", rule.minItems],
+      ["max_items", rule.maxItems],
+      ["unique", rule.unique || null],
+      ["delimiter", rule.delimiter === "," ? null : rule.delimiter],
+    ],
+    custom: () => Object.entries(rule.customOpts || {}).filter(([key]) => key !== "required"),
+  }[rule.type];
+
+  const constraints = options ? formatTreeOptions(options()) : [];
+  if (typeof rule.async === "function") constraints.push(`async, timeout: ${rule.timeout}`);
+  return constraints;
+}
+
+function formatTreeOptions(entries) {
+  return entries
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${formatElixirTerm(value, { atomKeys: true })}`);
+}
+
+// True when the `errors_flat` path sits at or below the node; `"*"` matches any array index.
+function schemaPathMatches(nodePath, flatPath) {
+  const segments = flatPath.split(".");
+  if (segments.length < nodePath.length) return false;
+  return nodePath.every((segment, index) => segment === segments[index] || (segment === "*" && /^\d+$/.test(segments[index])));
+}
+
+// `{ path, code, message }` for every error in a result, or null when the configured error builder
+// returns neither an `errors` map nor `errors_flat`. Codes are null when only `errors_flat` is there.
+function collectRunErrors(result) {
+  if (!result || result.status === "ok") return [];
+  if (isPlainObject(result.errors)) return listErrors(result.errors);
+  if (isPlainObject(result.errors_flat)) {
+    return Object.entries(result.errors_flat).flatMap(([path, messages]) =>
+      [].concat(messages).map((message) => ({ path, code: null, message }))
+    );
+  }
+  return null;
+}
+
+// Renders the tree and an error list into `container` and returns `{ showErrors, redraw }`:
+// `showErrors(result)` takes an `ExJoi.validate` result and `redraw()` re-routes the `when` edges.
+function renderSchemaTree(container, schema) {
+  const nodes = [];
+  let selected = null;
+  let errors;
+
+  const tree = document.createElement("div");
+  tree.className = "relative overflow-x-auto pl-6";
+  const edges = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  edges.setAttribute("class", "pointer-events-none absolute left-0 top-0");
+  edges.innerHTML =
+    '<defs><marker id="schema-tree-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L8,4 L0,8 z" fill="#a78bfa" /></marker></defs><g></g>';
+
+  const renderNode = (node) => {
+    const button = buildTreeNodeButton(node);
+    nodes.push({ node, button, count: button.querySelector('[data-role="count"]') });
+    return { button };
+  };
+  tree.append(edges, buildCollapsibleTree(describeSchemaTree(schema), renderNode, (node) => select(nodes.find((entry) => entry.node === node))));
+
+  const status = document.createElement("p");
+  status.className = "text-xs text-slate-500";
+  const errorList = document.createElement("ul");
+  errorList.className = "space-y-1 text-xs";
+  const errorPanel = document.createElement("div");
+  errorPanel.className = "space-y-3";
+  errorPanel.append(status, errorList);
+
+  const grid = document.createElement("div");
+  grid.className = "playground-grid";
+  grid.append(tree, errorPanel);
+  container.replaceChildren(grid);
+
+  tree.addEventListener("toggle", redraw, true);
+  redraw();
+  refresh();
+
+  function select(entry) {
+    selected = selected === entry ? null : entry;
+    refresh();
+  }
+
+  function refresh() {
+    // Branches share their field's path, so only the field itself carries the count.
+    nodes.forEach((entry) => {
+      const count = errors && !entry.node.branch ? errors.filter((error) => schemaPathMatches(entry.node.path, error.path)).length : 0;
+      entry.count.textContent = count ? `${count} error${count === 1 ? "" : "s"}` : "";
+      entry.count.hidden = !count;
+      entry.button.classList.toggle("ring-1", entry === selected);
+      entry.button.classList.toggle("ring-sky-400", entry === selected);
+    });
+
+    const where = selected ? pathToString(selected.node.path) : null;
+    if (errors === undefined) {
+      status.textContent = "Validate a payload in the sandbox to match its errors against the schema.";
+    } else if (errors === null) {
+      status.textContent = "The selected error builder returns no errors by path, so there is nothing to match.";
+    } else if (!errors.length) {
+      status.textContent = "The last run passed without errors.";
+    } else if (!selected) {
+      status.textContent = "Click a node to highlight the errors at that path and below.";
+    } else {
+      const matching = errors.filter((error) => schemaPathMatches(selected.node.path, error.path)).length;
+      status.textContent = matching
+        ? `${matching} of ${errors.length} errors at ${where} and below.`
+        : `No errors at ${where} in the last run.`;
+    }
+
+    errorList.replaceChildren(
+      ...(errors || []).map((error) => {
+        const match = selected && schemaPathMatches(selected.node.path, error.path);
+        return buildErrorListItem(
+          error,
+          `rounded-xl border px-3 py-2 ${match ? "border-rose-500/40 bg-rose-500/10 text-rose-200" : "border-slate-800 text-slate-300"}${selected && !match ? " opacity-40" : ""}`
+        );
+      })
+    );
+  }
+
+  // Each `when` gets a curve on the left from its row to the sibling it reads. Edges whose ends are
+  // inside a collapsed branch are left out.
+  function redraw() {
+    const box = tree.getBoundingClientRect();
+    edges.setAttribute("width", tree.scrollWidth);
+    edges.setAttribute("height", tree.scrollHeight);
+    const paths = nodes
+      .filter((entry) => entry.node.dependsOn)
+      .map((entry) => {
+        const targetPath = [...entry.node.path.slice(0, -1), entry.node.dependsOn];
+        const target = nodes.find((other) => !other.node.branch && termsEqual(other.node.path, targetPath));
+        if (!target || !entry.button.getClientRects().length || !target.button.getClientRects().length) return "";
+
+        const from = entry.button.getBoundingClientRect();
+        const to = target.button.getBoundingClientRect();
+        const x1 = from.left - box.left + tree.scrollLeft;
+        const x2 = to.left - box.left + tree.scrollLeft;
+        const y1 = from.top - box.top + from.height / 2;
+        const y2 = to.top - box.top + to.height / 2;
+        const bend = Math.max(2, Math.min(x1, x2) - 18);
+        return `<path d="M ${x1} ${y1} C ${bend} ${y1}, ${bend} ${y2}, ${x2 - 2} ${y2}" fill="none" stroke="#a78bfa" stroke-width="1.5" marker-end="url(#schema-tree-arrow)" />`;
+      });
+    edges.querySelector("g").innerHTML = paths.join("");
+  }
+
+  return {
+    showErrors(result) {
+      errors = collectRunErrors(result);
+      refresh();
+    },
+    redraw,
+  };
+}
+
+function buildTreeNodeButton(node) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = TREE_NODE_CLASS;
+  button.title = pathToString(node.path);
+
+  const chip = (text, className) => {
+    const span = document.createElement("span");
+    span.className = className;
+    span.textContent = text;
+    return span;
+  };
+
+  button.append(
+    chip(node.label, node.branch ? "italic text-violet-300" : "font-mono text-slate-100"),
+    chip(node.type, "rounded-full border border-slate-700 px-2 py-0.5 text-sky-300")
+  );
+  if (node.required) button.append(chip("required", "rounded-full border border-amber-500/40 bg-amber-500/10 px-2 py-0.5 text-amber-300"));
+  node.constraints.forEach((constraint) => button.append(chip(constraint, "font-mono text-slate-400")));
+  if (node.dependsOn) button.append(chip(`reads ${node.dependsOn}`, "text-violet-300"));
+
+  const count = chip("", "rounded-full border border-rose-500/40 bg-rose-500/10 px-2 py-0.5 text-rose-300");
+  count.dataset.role = "count";
+  count.hidden = true;
+  button.append(count);
+  return button;
+}
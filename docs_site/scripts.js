@@ -9,6 +9,21 @@ document.addEventListener("DOMContentLoaded", () => {
   initRolePlayground();
   initAdvancedPlayground();
   initSandbox();
+  initSchemaTree();
+  initErrorExplorer();
+  initErrorPresets();
+  initShareableSession();
+  initSchemaFormDemo();
+  initJsonSchemaTools();
+  initCodegenPanel();
+  initCaseExport();
+  initSamplePayloads();
+  initBatchValidation();
+  initSchemaDiff();
+  initErrorReference();
+  initLiveExamples();
+  initAsyncSimulator();
+  initCustomValidatorDemos();
 });
 
 function initCopyButtons() {
@@ -17,9 +32,10 @@ function initCopyButtons() {
 
   new ClipboardJS(".copy-btn");
   copyButtons.forEach((btn) => {
+    const label = btn.textContent;
     btn.addEventListener("click", () => {
       btn.textContent = "Copied!";
-      setTimeout(() => (btn.textContent = "Copy"), 1400);
+      setTimeout(() => (btn.textContent = label), 1400);
     });
   });
 }
@@ -88,7 +104,7 @@ function initAdvancedPlayground() {
       onboarded_at: dateInput.value,
     };
 
-    const result = simulateValidation(data, convertToggle.checked);
+    const result = ExJoi.validate(data, PLAYGROUND_SCHEMA, { convert: convertToggle.checked });
     output.textContent = JSON.stringify(result, null, 2);
   });
 }
@@ -98,191 +114,1209 @@ function initSandbox() {
   const convertToggle = document.getElementById("sandbox-convert");
   const runBtn = document.getElementById("sandbox-run");
   const output = document.getElementById("sandbox-output");
+  const sourcesOutput = document.getElementById("sandbox-sources");
+  const coercionsOutput = document.getElementById("sandbox-coercions");
   if (!dataTextarea || !runBtn || !output) return;
 
-  runBtn.addEventListener("click", () => {
+  const showError = (message) => {
+    output.textContent = JSON.stringify({ status: "error", message }, null, 2);
+  };
+  // A panel that fails says so in place, below a result that is still correct.
+  const renderPanel = (panel, label, render) => {
+    if (!panel) return;
     try {
-      const parsed = JSON.parse(dataTextarea.value);
-      const result = simulateValidation(parsed, convertToggle.checked);
-      output.textContent = JSON.stringify(result, null, 2);
+      render(panel);
     } catch (error) {
-      output.textContent = JSON.stringify(
-        { status: "error", message: `Invalid JSON: ${error.message}` },
-        null,
-        2
-      );
+      panel.textContent = `Could not ${label}: ${error.message}`;
+    }
+  };
+
+  let latestRun = 0;
+  runBtn.addEventListener("click", async () => {
+    // Schemas with `ExJoi.async` rules resolve later, and a newer run supersedes a pending one.
+    const run = ++latestRun;
+    const schema = readSandboxSchema(showError);
+    if (!schema) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(dataTextarea.value);
+    } catch (error) {
+      showError(`Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    const convert = convertToggle.checked;
+    let result;
+    try {
+      result = ExJoi.validate(parsed, schema, { convert });
+      if (result instanceof Promise) {
+        output.textContent = "// Running async checks…";
+        result = await result;
+      }
+    } catch (error) {
+      if (run === latestRun) showError(`Validation failed: ${error.message}`);
+      return;
     }
+    if (run !== latestRun) return;
+
+    output.textContent = JSON.stringify(result, null, 2);
+    // Panels that follow the sandbox listen for this rather than validating the payload again.
+    runBtn.dispatchEvent(new CustomEvent("sandbox:result", { detail: { schema, payload: parsed, result } }));
+    renderPanel(sourcesOutput, "trace value sources", (panel) => {
+      panel.textContent = JSON.stringify(describeValueSources(parsed, schema), null, 2);
+    });
+    renderPanel(coercionsOutput, "trace coercions", (panel) => {
+      renderCoercionDiff(panel, describeCoercions(parsed, schema, convert), convert);
+    });
   });
 }
 
-function simulateValidation(payload, convert) {
-  const errors = {};
-  const normalized = {};
-
-  const nameResult = ensureString(payload.name, convert, { min: 2, max: 50 });
-  if (nameResult.ok) normalized.name = nameResult.value;
-  else addError(errors, ["name"], nameResult.error);
+// With convert mode off the only rewrites are strings split into arrays.
+function renderCoercionDiff(container, entries, convert) {
+  if (!entries.length) {
+    container.textContent = convert
+      ? "Convert mode left every value as sent."
+      : "Convert mode is off and no string was split into an array, so values are validated exactly as sent.";
+    return;
+  }
 
-  const ageResult = ensureNumber(payload.age, convert, { min: 18 });
-  if (ageResult.ok) normalized.age = ageResult.value;
-  else addError(errors, ["age"], ageResult.error);
+  const formatValue = (value, type) =>
+    `<code class="text-slate-200">${escapeHtml(JSON.stringify(value))}</code> <span class="text-slate-500">${type}</span>`;
+  const rows = entries
+    .map(
+      (entry) => `
+        <tr class="border-t border-slate-800 align-top">
+          <td class="py-2 pr-4 font-mono text-slate-200">${escapeHtml(entry.path)}</td>
+          <td class="py-2 pr-4">${formatValue(entry.from, entry.fromType)}</td>
+          <td class="py-2 pr-4">${formatValue(entry.to, entry.toType)}</td>
+          <td class="py-2 pr-4 text-slate-300">${escapeHtml(entry.rule)}</td>
+          <td class="py-2">${coercionBadge(entry)}</td>
+        </tr>
+      `
+    )
+    .join("");
 
-  const roleResult = ensureString(payload.role, convert, { required: true });
-  const requestedRole = roleResult.ok ? roleResult.value : payload.role;
-  if (roleResult.ok) normalized.role = roleResult.value;
-  else addError(errors, ["role"], roleResult.error);
+  container.innerHTML = `
+    <table class="w-full text-left">
+      <thead class="text-slate-500">
+        <tr><th class="pb-2 pr-4 font-normal">Path</th><th class="pb-2 pr-4 font-normal">Original</th><th class="pb-2 pr-4 font-normal">Coerced</th><th class="pb-2 pr-4 font-normal">Rule</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
 
-  const permissionsResult = ensureArray(payload.permissions, convert, { itemMin: 3 });
-  if (permissionsResult.ok) {
-    normalized.permissions = permissionsResult.value;
+function coercionBadge(entry) {
+  if (!entry.passes) {
+    return '<span class="rounded-full border border-rose-500/40 bg-rose-500/10 px-2 py-0.5 text-rose-300">fails after conversion</span>';
   }
-  if (requestedRole === "admin") {
-    if (!permissionsResult.ok) {
-      addError(errors, ["permissions"], permissionsResult.error);
-    } else if (permissionsResult.value.length === 0) {
-      addError(errors, ["permissions"], { code: "array_min_items", message: "must contain at least 1 item" });
-    }
+  if (entry.convertOnly) {
+    return '<span class="rounded-full border border-amber-500/40 bg-amber-500/10 px-2 py-0.5 text-amber-300" title="Fails with convert: false">passes only with convert</span>';
   }
+  return "";
+}
 
-  const dateResult = ensureDate(payload.onboarded_at, convert);
-  if (dateResult.ok) normalized.onboarded_at = dateResult.value;
-  else addError(errors, ["onboarded_at"], dateResult.error);
+// Follows the sandbox runs; a schema that fails to parse leaves the last tree on screen.
+function initSchemaTree() {
+  const container = document.getElementById("schema-tree");
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  const runBtn = document.getElementById("sandbox-run");
+  if (!container || !runBtn || typeof renderSchemaTree !== "function") return;
+
+  // Keyed by the schema source so runs against an unchanged schema keep collapsed branches and the selection.
+  let view = null;
+  let drawnSource = null;
+  const draw = (schema) => {
+    const source = schemaTextarea ? schemaTextarea.value.trim() : "";
+    if (view && source === drawnSource) return;
+    view = renderSchemaTree(container, schema);
+    drawnSource = source;
+  };
 
-  if (Object.keys(errors).length === 0) {
-    return { status: "ok", data: normalized };
+  runBtn.addEventListener("sandbox:result", (event) => {
+    const { schema, result } = event.detail;
+    draw(schema);
+    view.showErrors(result);
+  });
+  window.addEventListener("resize", () => view?.redraw());
+
+  const schema = readSandboxSchema((message) => (container.textContent = message));
+  if (schema) draw(schema);
+}
+
+function initErrorExplorer() {
+  const container = document.getElementById("sandbox-error-explorer");
+  const dataTextarea = document.getElementById("sandbox-data");
+  const runBtn = document.getElementById("sandbox-run");
+  if (!container || !dataTextarea || !runBtn || typeof renderErrorExplorer !== "function") return;
+
+  const explorer = renderErrorExplorer(container, dataTextarea);
+  runBtn.addEventListener("sandbox:result", (event) => explorer.showResult(event.detail.result));
+}
+
+// The schema in the sandbox editor, or PLAYGROUND_SCHEMA while the editor is empty. When the source
+// does not parse, `report` gets an "Invalid schema: …" message and null is returned.
+function readSandboxSchema(report) {
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  if (!schemaTextarea || !schemaTextarea.value.trim()) return PLAYGROUND_SCHEMA;
+  try {
+    return parseExJoiSchema(schemaTextarea.value);
+  } catch (error) {
+    report(`Invalid schema: ${error.message}`);
+    return null;
   }
+}
 
-  return {
-    status: "error",
-    errors,
-    errors_flat: flattenErrors(errors),
+const PLAYGROUND_SCHEMA = ExJoi.schema({
+  name: ExJoi.string({ min: 2, max: 50 }),
+  age: ExJoi.number({ min: 18 }),
+  role: ExJoi.string({ required: true }),
+  permissions: ExJoi.when("role", {
+    is: "admin",
+    then: ExJoi.array({ of: ExJoi.string({ min: 3 }), minItems: 1, required: true }),
+    otherwise: ExJoi.array({ of: ExJoi.string({ min: 3 }) }),
+  }),
+  onboarded_at: ExJoi.date(),
+  active: ExJoi.boolean(),
+}, { defaults: { active: true } });
+
+const ERROR_BUILDER_PRESETS = {
+  default: {
+    label: "Default (message + errors)",
+    build: defaultErrorBuilder,
+    elixir: "# ExJoi.Config.default_error_builder/1\n%{message: \"Validation failed\", errors: errors}",
+  },
+  jsonapi: {
+    label: "JSON:API errors",
+    build: (errors) => ({
+      errors: Object.entries(flattenErrors(errors)).map(([path, messages]) => ({
+        status: "422",
+        source: { pointer: `/data/attributes/${path.replace(/\./g, "/")}` },
+        title: "Validation Error",
+        detail: messages.join(", "),
+      })),
+    }),
+    elixir: `ExJoi.configure(
+  error_builder: fn errors ->
+    jsonapi_errors =
+      errors
+      |> ExJoi.Validator.flatten_errors()
+      |> Enum.map(fn {path, messages} ->
+        %{
+          status: "422",
+          source: %{pointer: "/data/attributes/#{String.replace(path, ".", "/")}"},
+          title: "Validation Error",
+          detail: Enum.join(messages, ", ")
+        }
+      end)
+
+    %{errors: jsonapi_errors}
+  end
+)`,
+  },
+  flat: {
+    label: "Flat (success + validation_errors)",
+    build: (errors) => ({ success: false, validation_errors: flattenErrors(errors) }),
+    elixir: `ExJoi.configure(
+  error_builder: fn errors ->
+    %{success: false, validation_errors: ExJoi.Validator.flatten_errors(errors)}
+  end
+)`,
+  },
+};
+
+const SPANISH_MESSAGES = {
+  required: "es requerido",
+  string: "debe ser un texto",
+  string_min: "debe tener al menos %{min} caracteres",
+  string_max: "debe tener como máximo %{max} caracteres",
+  string_pattern: "debe coincidir con el patrón requerido",
+  string_email: "debe ser un email válido",
+  number: "debe ser un número",
+  number_min: "debe ser mayor o igual que %{min}",
+  number_max: "debe ser menor o igual que %{max}",
+  number_integer: "debe ser un número entero",
+  boolean: "debe ser un booleano",
+  object: "debe ser un objeto/mapa",
+  array: "debe ser una lista",
+  array_min_items: "debe contener al menos %{min_items} elementos",
+  array_max_items: "debe contener como máximo %{max_items} elementos",
+  array_unique: "debe contener elementos únicos",
+  date: "debe ser una fecha/hora ISO8601",
+  invalid_data: "los datos deben ser un mapa",
+};
+
+const MESSAGE_TRANSLATOR_PRESETS = {
+  default: {
+    label: "English (default messages)",
+    translate: defaultMessageTranslator,
+    elixir: "# ExJoi.Config.default_message_translator/3\nfn _code, default_message, _meta -> default_message end",
+  },
+  es: {
+    label: "Spanish dictionary",
+    // Same `%{key}` interpolation as the MyApp.ErrorTranslator example on the error tree page.
+    translate: (code, defaultMessage, meta) => {
+      const template = SPANISH_MESSAGES[code];
+      if (!template) return defaultMessage;
+      return template.replace(/%\{(\w+)\}/g, (_, key) => String(meta[key] ?? ""));
+    },
+    elixir: `ExJoi.configure(
+  message_translator: fn code, default, meta ->
+    MyApp.ErrorTranslator.translate(code, default, meta, :es)
+  end
+)`,
+  },
+};
+
+// The presets call `ExJoi.configure`, so like the Elixir config they apply to every validation on the page.
+function initErrorPresets() {
+  const builderSelect = document.getElementById("sandbox-builder");
+  const translatorSelect = document.getElementById("sandbox-translator");
+  const configOutput = document.getElementById("sandbox-config");
+  const runBtn = document.getElementById("sandbox-run");
+  if (!builderSelect || !translatorSelect) return;
+
+  [
+    [builderSelect, ERROR_BUILDER_PRESETS],
+    [translatorSelect, MESSAGE_TRANSLATOR_PRESETS],
+  ].forEach(([select, presets]) => {
+    Object.entries(presets).forEach(([key, preset]) => select.add(new Option(preset.label, key)));
+  });
+
+  const apply = () => {
+    const builder = ERROR_BUILDER_PRESETS[builderSelect.value];
+    const translator = MESSAGE_TRANSLATOR_PRESETS[translatorSelect.value];
+    ExJoi.configure({ errorBuilder: builder.build, messageTranslator: translator.translate });
+    if (configOutput) configOutput.textContent = `${builder.elixir}\n\n${translator.elixir}`;
+  };
+
+  const rerun = () => {
+    apply();
+    if (runBtn) runBtn.click();
   };
+  builderSelect.addEventListener("change", rerun);
+  translatorSelect.addEventListener("change", rerun);
+  apply();
 }
 
-function ensureString(value, convert, opts = {}) {
-  if (typeof value !== "string") {
-    if (!convert || value == null) {
-      return { ok: false, error: { code: "string", message: "must be a string" } };
+// Renders the sandbox schema (or PLAYGROUND_SCHEMA when it is empty) with `renderSchemaForm`.
+function initSchemaFormDemo() {
+  const container = document.getElementById("schema-form");
+  const buildBtn = document.getElementById("schema-form-build");
+  const convertToggle = document.getElementById("schema-form-convert");
+  const output = document.getElementById("schema-form-result");
+  if (!container || typeof renderSchemaForm !== "function") return;
+
+  const build = () => {
+    const schema = readSandboxSchema((message) => (output.textContent = JSON.stringify({ status: "error", message }, null, 2)));
+    if (!schema) return;
+    renderSchemaForm(container, schema, {
+      convert: () => convertToggle.checked,
+      onResult: (result) => (output.textContent = JSON.stringify(result, null, 2)),
+    });
+    output.textContent = "// Leave a field or submit to validate";
+  };
+
+  buildBtn?.addEventListener("click", build);
+  build();
+}
+
+function initJsonSchemaTools() {
+  const exportBtn = document.getElementById("json-schema-export");
+  const importBtn = document.getElementById("json-schema-import");
+  const textarea = document.getElementById("json-schema-text");
+  const status = document.getElementById("json-schema-status");
+  const warningsList = document.getElementById("json-schema-warnings");
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  if (!exportBtn || !importBtn || !textarea || !schemaTextarea) return;
+
+  const report = (message, warnings = []) => {
+    status.textContent = message;
+    warningsList.replaceChildren(
+      ...warnings.map((warning) => {
+        const item = document.createElement("li");
+        item.textContent = warning;
+        return item;
+      })
+    );
+  };
+
+  exportBtn.addEventListener("click", () => {
+    const schema = readSandboxSchema(report);
+    if (!schema) return;
+    const { jsonSchema, warnings } = exportJsonSchema(schema);
+    textarea.value = JSON.stringify(jsonSchema, null, 2);
+    report(`Exported the sandbox schema${warnings.length ? ` with ${warnings.length} warning(s)` : ""}.`, warnings);
+  });
+
+  importBtn.addEventListener("click", () => {
+    try {
+      const { schema, warnings } = importJsonSchema(JSON.parse(textarea.value));
+      schemaTextarea.value = `schema =\n${formatExJoiSchema(schema).replace(/^/gm, "  ")}`;
+      report(`Imported into the sandbox schema${warnings.length ? ` with ${warnings.length} warning(s)` : ""}.`, warnings);
+    } catch (error) {
+      report(`Could not import: ${error.message}`);
     }
-    value = String(value);
-  }
+  });
+}
 
-  let result = value;
-  if (convert) {
-    result = value.trim().replace(/\s+/g, " ");
-  }
+function initCodegenPanel() {
+  const target = document.getElementById("codegen-target");
+  const dateType = document.getElementById("codegen-date");
+  const output = document.getElementById("codegen-output");
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  const runBtn = document.getElementById("sandbox-run");
+  if (!target || !output || !schemaTextarea || typeof generateTypeScript !== "function") return;
 
-  if (opts.required && result.length === 0) {
-    return { ok: false, error: { code: "required", message: "is required" } };
-  }
-  if (opts.min && result.length < opts.min) {
-    return { ok: false, error: { code: "string_min", message: `must be at least ${opts.min} characters` } };
-  }
-  if (opts.max && result.length > opts.max) {
-    return { ok: false, error: { code: "string_max", message: `must be at most ${opts.max} characters` } };
-  }
+  const generate = () => {
+    dateType.disabled = target.value !== "typescript";
+    const schema = readSandboxSchema((message) => (output.textContent = `// ${message}`));
+    if (!schema) return;
+    output.textContent =
+      target.value === "typescript" ? generateTypeScript(schema, { dateType: dateType.value }) : generateValidatorModule(schema);
+  };
+
+  target.addEventListener("change", generate);
+  dateType.addEventListener("change", generate);
+  runBtn?.addEventListener("click", generate);
+  generate();
+}
+
+// The expected result is recomputed with default hooks, so a translator preset picked in the
+// sandbox does not leak into the exported assertions.
+function initCaseExport() {
+  const paramsOutput = document.getElementById("export-params");
+  const testOutput = document.getElementById("export-test");
+  const convertToggle = document.getElementById("sandbox-convert");
+  const runBtn = document.getElementById("sandbox-run");
+  if (!paramsOutput || !testOutput || !runBtn || typeof generateExUnitTest !== "function") return;
+
+  let latestExport = 0;
+  runBtn.addEventListener("sandbox:result", (event) => {
+    const { schema, payload } = event.detail;
+    const run = ++latestExport;
+    paramsOutput.textContent = formatElixirParams(payload);
+    generateExUnitTest(schema, payload, convertToggle.checked).then((test) => {
+      if (run === latestExport) testOutput.textContent = test;
+    });
+  });
+}
+
+function initSamplePayloads() {
+  const generateBtn = document.getElementById("sample-payloads-generate");
+  const list = document.getElementById("sample-payloads");
+  const status = document.getElementById("sample-payloads-status");
+  const notesList = document.getElementById("sample-payloads-notes");
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  if (!generateBtn || !list || !schemaTextarea || typeof generateSamplePayloads !== "function") return;
+
+  let latestGenerate = 0;
+  const generate = async () => {
+    const run = ++latestGenerate;
+    // Loading a sample also loads the schema it came from, in case the sandbox has moved on since.
+    const schemaSource = schemaTextarea.value;
+    const schema = readSandboxSchema((message) => (status.textContent = message));
+    if (!schema) return;
+
+    const { convert, samples, notes } = await generateSamplePayloads(schema);
+    if (run !== latestGenerate) return;
+    const invalid = samples.filter((sample) => sample.kind === "invalid").length;
+    status.textContent = `${samples.length - invalid} valid and ${invalid} invalid payloads${
+      convert ? ", checked with convert: true because JSON carries dates as strings" : ""
+    }.`;
+    notesList.replaceChildren(
+      ...notes.map((note) => {
+        const item = document.createElement("li");
+        item.textContent = note;
+        return item;
+      })
+    );
 
-  return { ok: true, value: result };
+    list.replaceChildren(
+      ...samples.map((sample) => {
+        const item = document.createElement("li");
+        item.className = "rounded-2xl border border-slate-800 bg-slate-950/60 p-3 space-y-2";
+        item.innerHTML = `
+          <div class="flex flex-wrap items-center justify-between gap-2">
+            <div class="flex flex-wrap items-center gap-2 text-sm">
+              <span class="text-slate-200"></span>
+              <span class="rounded-full border px-2 py-0.5 font-mono text-xs"></span>
+            </div>
+            <button class="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200 hover:bg-slate-800" type="button">Load into sandbox</button>
+          </div>
+          <pre class="text-xs text-slate-400 whitespace-pre-wrap break-all"></pre>
+        `;
+        const [label, badge] = item.querySelectorAll("span");
+        label.textContent = sample.label;
+        badge.textContent = sample.kind === "valid" ? "valid" : `:${sample.code}`;
+        badge.classList.add(
+          ...(sample.kind === "valid"
+            ? ["border-emerald-500/40", "bg-emerald-500/10", "text-emerald-300"]
+            : ["border-rose-500/40", "bg-rose-500/10", "text-rose-300"])
+        );
+        item.querySelector("pre").textContent = JSON.stringify(sample.payload);
+        item
+          .querySelector("button")
+          .addEventListener("click", () => openInSandbox(schemaSource, JSON.stringify(sample.payload, null, 2), convert));
+        return item;
+      })
+    );
+  };
+
+  generateBtn.addEventListener("click", generate);
+  generate();
 }
 
-function ensureNumber(value, convert, opts = {}) {
-  let num = value;
-  if (typeof num !== "number") {
-    if (!convert || typeof value !== "string") {
-      return { ok: false, error: { code: "number", message: "must be a number" } };
+function initBatchValidation() {
+  const input = document.getElementById("batch-input");
+  const fileInput = document.getElementById("batch-file");
+  const convertToggle = document.getElementById("batch-convert");
+  const runBtn = document.getElementById("batch-run");
+  const status = document.getElementById("batch-status");
+  const summaryContainer = document.getElementById("batch-summary");
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  if (!input || !runBtn || !summaryContainer || typeof runBatchValidation !== "function") return;
+
+  let worker = null;
+
+  const show = (summary, schemaSource, convert, note = "") => {
+    status.textContent = `Validated ${summary.total} record${summary.total === 1 ? "" : "s"} in ${formatBatchMs(summary.elapsedMs)}.${note}`;
+    renderBatchSummary(summaryContainer, summary, (failure) =>
+      openInSandbox(schemaSource, JSON.stringify(failure.value, null, 2), convert)
+    );
+  };
+
+  // file:// pages and some embedded browsers refuse workers; the same code then runs here.
+  const runOnPage = (schema, schemaSource, text, convert) => {
+    runBatchValidation(text, schema, convert).then(
+      (summary) => show(summary, schemaSource, convert, " Web Workers are unavailable here, so this ran on the page."),
+      (error) => {
+        status.textContent = error.message;
+      }
+    );
+  };
+
+  const run = () => {
+    if (worker) worker.terminate();
+    worker = null;
+
+    const schema = readSandboxSchema((message) => (status.textContent = message));
+    if (!schema) return;
+    // The worker rebuilds the schema from source.
+    const schemaSource = schemaTextarea && schemaTextarea.value.trim() ? schemaTextarea.value : formatExJoiSchema(PLAYGROUND_SCHEMA);
+
+    const text = input.value;
+    const convert = convertToggle.checked;
+    if (typeof Worker !== "function") {
+      runOnPage(schema, schemaSource, text, convert);
+      return;
     }
-    num = Number(value.trim());
+
+    try {
+      worker = new Worker("batch-validation.js");
+    } catch (_error) {
+      runOnPage(schema, schemaSource, text, convert);
+      return;
+    }
+
+    const current = worker;
+    status.textContent = "Validating…";
+    current.onmessage = ({ data }) => {
+      if (current !== worker) return;
+      if (data.type === "progress") {
+        status.textContent = `Validated ${data.done} of ${data.total} records…`;
+        return;
+      }
+      if (data.type === "done") show(data.summary, schemaSource, convert);
+      else status.textContent = data.message;
+      current.terminate();
+      worker = null;
+    };
+    current.onerror = (event) => {
+      event.preventDefault();
+      if (current !== worker) return;
+      current.terminate();
+      worker = null;
+      runOnPage(schema, schemaSource, text, convert);
+    };
+    current.postMessage({ schemaSource, text, convert });
+  };
+
+  const loadFile = (file) => {
+    if (!file) return;
+    status.textContent = `Reading ${file.name}…`;
+    file.text().then((text) => {
+      input.value = text;
+      run();
+    });
+  };
+
+  runBtn.addEventListener("click", run);
+  fileInput.addEventListener("change", () => loadFile(fileInput.files[0]));
+  input.addEventListener("dragover", (event) => event.preventDefault());
+  input.addEventListener("drop", (event) => {
+    if (!event.dataTransfer.files.length) return;
+    event.preventDefault();
+    loadFile(event.dataTransfer.files[0]);
+  });
+}
+
+function initSchemaDiff() {
+  const beforeInput = document.getElementById("diff-before");
+  const afterInput = document.getElementById("diff-after");
+  const corpusInput = document.getElementById("diff-corpus");
+  const convertToggle = document.getElementById("diff-convert");
+  const runBtn = document.getElementById("diff-run");
+  const useSandboxBtn = document.getElementById("diff-use-sandbox");
+  const status = document.getElementById("diff-status");
+  const output = document.getElementById("diff-output");
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  if (!beforeInput || !afterInput || !runBtn || !output || typeof diffSchemas !== "function") return;
+
+  const parse = (source, label) => {
+    try {
+      return parseExJoiSchema(source);
+    } catch (error) {
+      throw new Error(`Invalid ${label} schema: ${error.message}`);
+    }
+  };
+
+  let latestCompare = 0;
+  const compare = async () => {
+    const run = ++latestCompare;
+    try {
+      const before = parse(beforeInput.value, "before");
+      const after = parse(afterInput.value, "after");
+      const convert = convertToggle.checked;
+      const replay = corpusInput.value.trim() ? await replaySchemaCorpus(corpusInput.value, before, after, convert) : null;
+      if (run !== latestCompare) return;
+      const changes = diffSchemas(before, after);
+      status.textContent = replay ? "Compared both schemas and replayed the corpus." : "Compared both schemas. Add a corpus to replay payloads.";
+      // Payloads open against the new schema, where their outcome is the one that changed.
+      renderSchemaDiff(output, changes, replay, (entry) => openInSandbox(afterInput.value, JSON.stringify(entry.value, null, 2), convert));
+    } catch (error) {
+      if (run !== latestCompare) return;
+      status.textContent = error.message;
+      output.replaceChildren();
+    }
+  };
+
+  runBtn.addEventListener("click", compare);
+  useSandboxBtn.addEventListener("click", () => {
+    if (!schemaTextarea) return;
+    beforeInput.value = schemaTextarea.value;
+    compare();
+  });
+  compare();
+}
+
+// Bump when the encoded shape changes so older links fail with a clear message instead of garbage.
+const SESSION_VERSION = 1;
+const SESSION_STORAGE_KEY = "playground-session";
+const SESSION_FIELD_IDS = [
+  "pg-name",
+  "pg-age",
+  "pg-role",
+  "pg-perms",
+  "pg-date",
+  "pg-convert",
+  "sandbox-schema",
+  "sandbox-data",
+  "sandbox-convert",
+];
+
+// Restores the playground from a `#session=<version>.<deflated base64url>` fragment, or from the copy
+// kept in localStorage, and keeps the share button's link in sync with every edit.
+function initShareableSession() {
+  const shareBtn = document.getElementById("session-share");
+  const status = document.getElementById("session-status");
+  const inputs = SESSION_FIELD_IDS.map((id) => document.getElementById(id)).filter(Boolean);
+  if (!shareBtn || !inputs.length) return;
+
+  if (typeof CompressionStream === "undefined") {
+    shareBtn.remove();
+    if (status) status.textContent = "This browser cannot compress share links; sessions are still saved locally.";
   }
 
-  if (!Number.isFinite(num)) {
-    return { ok: false, error: { code: "number", message: "must be a number" } };
+  let latestSync = 0;
+  const sync = async () => {
+    const fields = readSessionFields(inputs);
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(fields));
+    if (!shareBtn.isConnected) return;
+
+    const ticket = ++latestSync;
+    const token = await encodeSession(fields);
+    if (ticket !== latestSync) return;
+    const url = new URL(window.location.href);
+    url.hash = `session=${token}`;
+    shareBtn.setAttribute("data-clipboard-text", url.toString());
+  };
+
+  restoreSession(status).then((fields) => {
+    if (fields) {
+      applySessionFields(inputs, fields);
+      ["pg-run", "sandbox-run"].forEach((id) => {
+        const runBtn = document.getElementById(id);
+        if (runBtn) runBtn.click();
+      });
+    }
+    inputs.forEach((input) => {
+      input.addEventListener("input", sync);
+      input.addEventListener("change", sync);
+    });
+    sync();
+  });
+}
+
+async function restoreSession(status) {
+  const match = /^#session=(.+)$/.exec(window.location.hash);
+  if (match) {
+    try {
+      const fields = await decodeSession(match[1]);
+      // Later edits are kept in localStorage, so drop the fragment to let a reload pick them up.
+      history.replaceState(null, "", window.location.pathname + window.location.search);
+      if (status) status.textContent = "Restored the shared session from the link.";
+      return fields;
+    } catch (error) {
+      if (status) status.textContent = `Could not restore the shared session: ${error.message}`;
+      return null;
+    }
   }
 
-  if (opts.min != null && num < opts.min) {
-    return { ok: false, error: { code: "number_min", message: `must be ≥ ${opts.min}` } };
+  const saved = localStorage.getItem(SESSION_STORAGE_KEY);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    return null;
   }
+}
+
+function readSessionFields(inputs) {
+  const fields = {};
+  inputs.forEach((input) => {
+    fields[input.id] = input.type === "checkbox" ? input.checked : input.value;
+  });
+  return fields;
+}
+
+function applySessionFields(inputs, fields) {
+  inputs.forEach((input) => {
+    if (!(input.id in fields)) return;
+    if (input.type === "checkbox") input.checked = Boolean(fields[input.id]);
+    else input.value = fields[input.id];
+  });
+}
+
+async function encodeSession(fields) {
+  const json = new TextEncoder().encode(JSON.stringify(fields));
+  const compressed = await pipeBytes(json, new CompressionStream("deflate-raw"));
+  return `${SESSION_VERSION}.${toBase64Url(compressed)}`;
+}
 
-  if (opts.max != null && num > opts.max) {
-    return { ok: false, error: { code: "number_max", message: `must be ≤ ${opts.max}` } };
+async function decodeSession(token) {
+  const [version, data] = token.split(".");
+  if (Number(version) !== SESSION_VERSION) {
+    throw new Error(`unsupported session version ${version}`);
+  }
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("this browser cannot decompress share links");
   }
+  const json = await pipeBytes(fromBase64Url(data || ""), new DecompressionStream("deflate-raw"));
+  return JSON.parse(new TextDecoder().decode(json));
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
 
-  return { ok: true, value: num };
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
 }
 
-function ensureArray(value, convert, opts = {}) {
-  let arr = value;
-  if (!Array.isArray(arr)) {
-    if (!convert || typeof value !== "string") {
-      return { ok: false, error: { code: "array", message: "must be an array" } };
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+const ERROR_CODE_REFERENCE = [
+  { code: "required", message: "is required", schema: "ExJoi.schema(%{name: ExJoi.string(required: true)})", payload: {} },
+  { code: "string", message: "must be a string", schema: "ExJoi.schema(%{name: ExJoi.string()})", payload: { name: 42 } },
+  { code: "string_min", message: "must be at least N characters", schema: "ExJoi.schema(%{name: ExJoi.string(min: 3)})", payload: { name: "Al" } },
+  { code: "string_max", message: "must be at most N characters", schema: "ExJoi.schema(%{name: ExJoi.string(max: 5)})", payload: { name: "Maximilian" } },
+  { code: "string_pattern", message: "must match required pattern", schema: "ExJoi.schema(%{code: ExJoi.string(pattern: ~r/^[A-Z]+$/)})", payload: { code: "abc" } },
+  { code: "string_email", message: "must be a valid email", schema: "ExJoi.schema(%{email: ExJoi.string(email: true)})", payload: { email: "maya@" } },
+  { code: "number", message: "must be a number", schema: "ExJoi.schema(%{age: ExJoi.number()})", payload: { age: "forty" } },
+  { code: "number_min", message: "must be greater than or equal to N", schema: "ExJoi.schema(%{age: ExJoi.number(min: 18)})", payload: { age: 16 } },
+  { code: "number_max", message: "must be less than or equal to N", schema: "ExJoi.schema(%{age: ExJoi.number(max: 65)})", payload: { age: 70 } },
+  { code: "number_integer", message: "must be an integer", schema: "ExJoi.schema(%{seats: ExJoi.number(integer: true)})", payload: { seats: 2.5 } },
+  { code: "boolean", message: "must be a boolean", schema: "ExJoi.schema(%{active: ExJoi.boolean()})", payload: { active: "yes" } },
+  { code: "object", message: "must be an object/map", schema: "ExJoi.schema(%{address: ExJoi.object(%{city: ExJoi.string()})})", payload: { address: "Addis Ababa" } },
+  { code: "array", message: "must be an array/list", schema: "ExJoi.schema(%{tags: ExJoi.array()})", payload: { tags: 42 } },
+  { code: "array_min_items", message: "must contain at least N items", schema: "ExJoi.schema(%{tags: ExJoi.array(min_items: 1)})", payload: { tags: [] } },
+  { code: "array_max_items", message: "must contain at most N items", schema: "ExJoi.schema(%{tags: ExJoi.array(max_items: 2)})", payload: { tags: ["a", "b", "c"] } },
+  { code: "array_unique", message: "must contain unique items", schema: "ExJoi.schema(%{tags: ExJoi.array(unique: true)})", payload: { tags: ["a", "a"] } },
+  { code: "date", message: "must be an ISO8601 date/time", schema: "ExJoi.schema(%{starts_at: ExJoi.date()})", payload: { starts_at: "next tuesday" }, convert: true },
+  { code: "custom_type", message: "unknown custom type NAME", schema: "ExJoi.schema(%{id: ExJoi.custom(:uuid)})", payload: { id: "123" } },
+  { code: "invalid_data", message: "data must be a map", schema: "ExJoi.schema(%{name: ExJoi.string()})", payload: ["not", "a", "map"] },
+  {
+    code: "async_timeout",
+    message: "async validation timed out after Nms",
+    schema: "ExJoi.schema(%{username: ExJoi.async(ExJoi.string(), fn _value, _ctx -> Task.async(fn -> Process.sleep(:infinity) end) end, timeout: 50)})",
+    build: () => ExJoi.schema({ username: ExJoi.async(ExJoi.string(), () => new Promise(() => {}), { timeout: 50 }) }),
+    payload: { username: "maya" },
+  },
+  {
+    code: "async_error",
+    message: "async validation failed: REASON",
+    schema: 'ExJoi.schema(%{username: ExJoi.async(ExJoi.string(), fn _value, _ctx -> Task.async(fn -> raise "service unavailable" end) end)})',
+    build: () =>
+      ExJoi.schema({ username: ExJoi.async(ExJoi.string(), () => Promise.reject(new Error("service unavailable"))) }),
+    payload: { username: "maya" },
+  },
+  {
+    code: "async_validation",
+    message: "async function returned unexpected result: RESULT",
+    schema: "ExJoi.schema(%{username: ExJoi.async(ExJoi.string(), fn _value, _ctx -> :maybe end)})",
+    build: () => ExJoi.schema({ username: ExJoi.async(ExJoi.string(), () => "maybe") }),
+    payload: { username: "maya" },
+  },
+];
+
+function initErrorReference() {
+  const container = document.getElementById("error-reference");
+  if (!container) return;
+
+  ERROR_CODE_REFERENCE.forEach((entry) => {
+    const card = document.createElement("div");
+    card.className = "feature-card space-y-3";
+    card.innerHTML = `
+      <div class="flex items-center justify-between">
+        <h3 class="font-mono text-sky-400"></h3>
+        <button class="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200 hover:bg-slate-800" type="button">Open in sandbox</button>
+      </div>
+      <p class="text-sm"></p>
+      <pre class="rounded-2xl border border-slate-800 bg-slate-950/70 p-3 text-xs whitespace-pre-wrap" data-role="example"></pre>
+      <pre class="rounded-2xl border border-slate-800 bg-slate-950/70 p-3 text-xs whitespace-pre-wrap" data-role="result"></pre>
+    `;
+    card.querySelector("h3").textContent = `:${entry.code}`;
+    card.querySelector("p").textContent = `"${entry.message}"`;
+
+    const example = card.querySelector('[data-role="example"]');
+    const result = card.querySelector('[data-role="result"]');
+    const openBtn = card.querySelector("button");
+
+    const payload = JSON.stringify(entry.payload, null, 2);
+    example.textContent = `${entry.schema}\n\n# payload${entry.convert ? " (convert: true)" : ""}\n${payload}`;
+
+    // Async validators are JS functions standing in for the Elixir ones, so the sandbox cannot parse them.
+    const schema = entry.build ? entry.build() : parseExJoiSchema(entry.schema);
+    Promise.resolve(ExJoi.validate(entry.payload, schema, { convert: Boolean(entry.convert) })).then((outcome) => {
+      result.textContent = JSON.stringify(outcome.errors_flat, null, 2);
+    });
+
+    if (entry.build) {
+      openBtn.remove();
+    } else {
+      openBtn.addEventListener("click", () => openInSandbox(entry.schema, payload, Boolean(entry.convert)));
     }
-    arr = value
-      .split(opts.delimiter || ",")
-      .map((v) => v.trim())
-      .filter(Boolean);
-  }
 
-  if (opts.minItems && arr.length < opts.minItems) {
-    return { ok: false, error: { code: "array_min_items", message: `must contain at least ${opts.minItems} items` } };
-  }
+    container.appendChild(card);
+  });
+}
 
-  if (opts.itemMin) {
-    const failures = arr.reduce((acc, item, idx) => {
-      if (item.length < opts.itemMin) acc.push(idx);
-      return acc;
-    }, []);
-    if (failures.length) {
-      return {
-        ok: false,
-        error: {
-          code: "string_min",
-          message: `item(s) ${failures.join(", ")} must be at least ${opts.itemMin} characters`,
-        },
-      };
+function openInSandbox(schemaSource, payloadSource, convert) {
+  const schemaTextarea = document.getElementById("sandbox-schema");
+  const dataTextarea = document.getElementById("sandbox-data");
+  const convertToggle = document.getElementById("sandbox-convert");
+  const runBtn = document.getElementById("sandbox-run");
+  if (!dataTextarea || !runBtn) return;
+
+  if (schemaTextarea) schemaTextarea.value = schemaSource;
+  dataTextarea.value = payloadSource;
+  if (convertToggle) convertToggle.checked = convert;
+  runBtn.click();
+  dataTextarea.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+// Code samples carrying `data-live-payload` (or a `data-live-payloads` list of examples) get a
+// "Run" button next to Copy. The schema is parsed from the sample itself, or from
+// `data-live-schema` when the sample only shows calls or output, so the docs cannot drift from
+// what the engine does. `data-live-convert="true"` starts the panel in convert mode.
+function initLiveExamples() {
+  document.querySelectorAll("code[data-live-payload], code[data-live-payloads]").forEach((block) => {
+    const card = block.closest(".code-card");
+    if (!card) return;
+
+    const examples = block.dataset.livePayloads
+      ? JSON.parse(block.dataset.livePayloads)
+      : [JSON.parse(block.dataset.livePayload)];
+    const schemaSource = block.dataset.liveSchema || block.textContent;
+
+    const panel = document.createElement("div");
+    panel.className = "hidden rounded-3xl border border-slate-800 bg-slate-900/40 p-4 space-y-3";
+    panel.innerHTML = `
+      <div class="flex flex-wrap items-center gap-2">
+        <p class="section-label">Try it</p>
+        <div class="flex flex-wrap gap-2" data-role="examples"></div>
+      </div>
+      <textarea class="w-full rounded-2xl border border-slate-700 bg-slate-950/60 p-3 font-mono text-sm" rows="5" spellcheck="false"></textarea>
+      <div class="flex items-center justify-between">
+        <label class="inline-flex items-center space-x-2 text-sm text-slate-300">
+          <input type="checkbox" class="rounded border-slate-600 bg-slate-900" />
+          <span>Enable convert mode</span>
+        </label>
+        <button type="button" class="rounded-2xl bg-gradient-to-r from-sky-500 to-emerald-400 px-4 py-1.5 text-sm font-semibold text-slate-950">Validate</button>
+      </div>
+      <pre class="rounded-2xl border border-slate-800 bg-slate-950/70 p-3 text-xs whitespace-pre-wrap" data-role="result"></pre>
+    `;
+    card.insertAdjacentElement("afterend", panel);
+
+    const payloadInput = panel.querySelector("textarea");
+    const convertToggle = panel.querySelector('input[type="checkbox"]');
+    const output = panel.querySelector('[data-role="result"]');
+    payloadInput.value = JSON.stringify(examples[0], null, 2);
+    convertToggle.checked = block.dataset.liveConvert === "true";
+
+    const run = () => {
+      output.textContent = JSON.stringify(runLiveExample(schemaSource, payloadInput.value, convertToggle.checked), null, 2);
+    };
+    panel.querySelector("button").addEventListener("click", run);
+
+    if (examples.length > 1) {
+      const chips = panel.querySelector('[data-role="examples"]');
+      examples.forEach((example) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "rounded-full border border-slate-700 px-3 py-0.5 font-mono text-xs text-slate-300 hover:bg-slate-800";
+        chip.textContent = JSON.stringify(example);
+        chip.addEventListener("click", () => {
+          payloadInput.value = JSON.stringify(example, null, 2);
+          run();
+        });
+        chips.appendChild(chip);
+      });
     }
-  }
 
-  return { ok: true, value: arr };
+    const runBtn = document.createElement("button");
+    runBtn.type = "button";
+    runBtn.className = "rounded-full border border-sky-500/60 px-3 py-0.5 text-sky-300 hover:bg-sky-500/10";
+    runBtn.textContent = "Run";
+    runBtn.addEventListener("click", () => {
+      panel.classList.remove("hidden");
+      run();
+    });
+
+    const header = card.querySelector(".code-header");
+    const copyBtn = header && header.querySelector(".copy-btn");
+    if (copyBtn) {
+      const actions = document.createElement("div");
+      actions.className = "flex items-center gap-2";
+      copyBtn.replaceWith(actions);
+      actions.append(runBtn, copyBtn);
+    } else if (header) {
+      header.appendChild(runBtn);
+    } else {
+      panel.classList.remove("hidden");
+      run();
+    }
+  });
 }
 
-function ensureDate(value, convert) {
-  if (value instanceof Date && !Number.isNaN(value.getTime())) {
-    return { ok: true, value: value.toISOString() };
+function runLiveExample(schemaSource, payloadSource, convert) {
+  let schema;
+  try {
+    schema = parseExJoiSchema(schemaSource, { partial: true });
+  } catch (error) {
+    return { status: "error", message: `Invalid schema: ${error.message}` };
   }
 
-  if (typeof value !== "string") {
-    if (!convert) return { ok: false, error: { code: "date", message: "must be ISO8601" } };
-    value = String(value);
+  let payload;
+  try {
+    payload = JSON.parse(payloadSource);
+  } catch (error) {
+    return { status: "error", message: `Invalid JSON: ${error.message}` };
   }
 
-  const date = new Date(value);
-  if (!Number.isNaN(date.getTime())) {
-    return { ok: true, value: date.toISOString() };
+  try {
+    return ExJoi.validate(payload, schema, { convert });
+  } catch (error) {
+    return { status: "error", message: `Validation raised: ${error.message}` };
   }
+}
+
+const ASYNC_SIMULATOR_CHECKS = [
+  { field: "username", latency: 400, timeout: 1000, outcome: "ok" },
+  { field: "email", latency: 1500, timeout: 1000, outcome: "ok" },
+  { field: "api_key", latency: 300, timeout: 2000, outcome: "error" },
+  { field: "avatar_url", latency: 700, timeout: 1000, outcome: "crash" },
+  { field: "referral_code", latency: 200, timeout: 1000, outcome: "unexpected" },
+];
+
+const ASYNC_STATUS_COLORS = {
+  ok: "bg-emerald-400",
+  error: "bg-rose-400",
+  failed: "bg-fuchsia-400",
+  timeout: "bg-amber-400",
+};
+
+function initAsyncSimulator() {
+  const rowsContainer = document.getElementById("async-checks");
+  const addBtn = document.getElementById("async-add");
+  const runBtn = document.getElementById("async-run");
+  const timeoutInput = document.getElementById("async-timeout");
+  const concurrencyInput = document.getElementById("async-concurrency");
+  const output = document.getElementById("async-output");
+  const timelineContainer = document.getElementById("async-timeline");
+  if (!rowsContainer || !runBtn || !output || !timelineContainer) return;
+
+  ASYNC_SIMULATOR_CHECKS.forEach((check) => addAsyncCheckRow(rowsContainer, check));
+  addBtn?.addEventListener("click", () => {
+    addAsyncCheckRow(rowsContainer, { field: "", latency: 500, timeout: 1000, outcome: "ok" });
+  });
+
+  runBtn.addEventListener("click", () => {
+    const checks = Array.from(rowsContainer.children).map(readAsyncCheckRow).filter((check) => check.field);
+    const fields = {};
+    const payload = {};
+    checks.forEach((check) => {
+      fields[check.field] = ExJoi.async(ExJoi.string(), simulatedAsyncValidator(check), { timeout: check.timeout });
+      payload[check.field] = `${check.field}-value`;
+    });
+
+    const timeline = [];
+    const opts = {
+      timeout: Number(timeoutInput.value) || 5000,
+      maxConcurrency: Number(concurrencyInput.value) || 10,
+      timeline,
+    };
+
+    runBtn.disabled = true;
+    output.textContent = "// Running async checks…";
+    timelineContainer.innerHTML = "";
+
+    ExJoi.validate(payload, ExJoi.schema(fields), opts).then((result) => {
+      runBtn.disabled = false;
+      output.textContent = JSON.stringify(result, null, 2);
+      renderAsyncTimeline(timelineContainer, timeline, opts.timeout);
+    });
+  });
+}
 
-  return { ok: false, error: { code: "date", message: "must be ISO8601" } };
+function addAsyncCheckRow(container, check) {
+  const row = document.createElement("div");
+  row.className = "grid grid-cols-2 gap-2 md:grid-cols-[1.5fr_1fr_1fr_1fr_auto] items-center";
+  row.innerHTML = `
+    <input data-field="field" class="rounded-xl border border-slate-700 bg-slate-900 px-3 py-1.5 text-sm font-mono" placeholder="field" />
+    <input data-field="latency" type="number" min="0" class="rounded-xl border border-slate-700 bg-slate-900 px-3 py-1.5 text-sm" title="Simulated latency (ms)" />
+    <input data-field="timeout" type="number" min="1" class="rounded-xl border border-slate-700 bg-slate-900 px-3 py-1.5 text-sm" title="Rule timeout (ms)" />
+    <select data-field="outcome" class="rounded-xl border border-slate-700 bg-slate-900 px-3 py-1.5 text-sm">
+      <option value="ok">{:ok, value}</option>
+      <option value="error">{:error, errors}</option>
+      <option value="crash">raises</option>
+      <option value="unexpected">unexpected result</option>
+    </select>
+    <button type="button" class="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-300 hover:bg-slate-800">Remove</button>
+  `;
+  row.querySelector('[data-field="field"]').value = check.field;
+  row.querySelector('[data-field="latency"]').value = check.latency;
+  row.querySelector('[data-field="timeout"]').value = check.timeout;
+  row.querySelector('[data-field="outcome"]').value = check.outcome;
+  row.querySelector("button").addEventListener("click", () => row.remove());
+  container.appendChild(row);
 }
 
-function addError(store, path, error) {
-  let cursor = store;
-  for (let i = 0; i < path.length - 1; i++) {
-    const segment = path[i];
-    if (!cursor[segment]) cursor[segment] = {};
-    cursor = cursor[segment];
-  }
-  const leaf = path[path.length - 1];
-  cursor[leaf] = cursor[leaf] || [];
-  cursor[leaf].push({ code: error.code, message: error.message });
+function readAsyncCheckRow(row) {
+  return {
+    field: row.querySelector('[data-field="field"]').value.trim(),
+    latency: Number(row.querySelector('[data-field="latency"]').value) || 0,
+    timeout: Number(row.querySelector('[data-field="timeout"]').value) || 5000,
+    outcome: row.querySelector('[data-field="outcome"]').value,
+  };
 }
 
-function flattenErrors(errors, prefix = []) {
-  const flat = {};
-  Object.entries(errors).forEach(([key, value]) => {
-    const currentPath = [...prefix, key];
-    if (Array.isArray(value)) {
-      flat[currentPath.join(".")] = value.map((entry) => entry.message);
-    } else {
-      Object.assign(flat, flattenErrors(value, currentPath));
+function simulatedAsyncValidator(check) {
+  return (value) =>
+    new Promise((resolve, reject) => {
+      setTimeout(() => {
+        switch (check.outcome) {
+          case "ok":
+            return resolve({ ok: true, value });
+          case "error":
+            return resolve({
+              ok: false,
+              errors: [{ code: "service_rejected", message: "was rejected by the remote service", meta: {} }],
+            });
+          case "crash":
+            return reject(new Error("service unavailable"));
+          default:
+            return resolve("maybe");
+        }
+      }, check.latency);
+    });
+}
+
+function renderAsyncTimeline(container, timeline, validateTimeout) {
+  const span = Math.max(validateTimeout, ...timeline.map((entry) => entry.end), 1);
+  const rows = [...timeline].sort((a, b) => a.start - b.start);
+
+  container.innerHTML = "";
+  rows.forEach((entry) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-3 text-xs";
+    row.innerHTML = `
+      <span class="w-32 truncate font-mono text-slate-300"></span>
+      <div class="relative h-3 flex-1 rounded-full bg-slate-800/70">
+        <div class="absolute inset-y-0 rounded-full ${ASYNC_STATUS_COLORS[entry.status] || "bg-slate-400"}"></div>
+      </div>
+      <span class="w-40 text-right text-slate-400"></span>
+    `;
+    row.querySelector("span").textContent = entry.path;
+    const bar = row.querySelector(".absolute");
+    bar.style.left = `${(entry.start / span) * 100}%`;
+    bar.style.width = `${Math.max(((entry.end - entry.start) / span) * 100, 0.5)}%`;
+    row.querySelector("span:last-child").textContent = `${entry.start}–${entry.end}ms · ${entry.status}`;
+    container.appendChild(row);
+  });
+}
+
+// JS ports of the validators shown on custom-validators.html; each demo is editable and re-registered on every run.
+const CUSTOM_VALIDATOR_DEMOS = {
+  "cv-url": {
+    validator: `ExJoi.extend("url", (value, _ctx) => {
+  if (typeof value === "string" && /^https?:\\/\\/.+/i.test(value)) {
+    return { ok: true, value };
+  }
+  return { ok: false, errors: [{ code: "url", message: "must be a valid URL" }] };
+});`,
+    schema: `ExJoi.schema(%{
+  website: ExJoi.custom(:url, required: true)
+})`,
+    payload: { website: "ftp://example.com" },
+  },
+  "cv-phone": {
+    validator: `ExJoi.extend("phone", (value, _ctx) => {
+  // Remove common formatting characters
+  const cleaned = String(value).replace(/[\\s\\-()]/g, "");
+
+  if (/^\\d{10,15}$/.test(cleaned)) {
+    return { ok: true, value: cleaned };
+  }
+  return { ok: false, errors: [{ code: "phone", message: "must be a valid phone number" }] };
+});`,
+    schema: `ExJoi.schema(%{
+  phone: ExJoi.custom(:phone, required: true)
+})`,
+    payload: { phone: "(555) 123-4567" },
+  },
+  "cv-credit": {
+    validator: `// An object with validate/3 stands in for a module implementing ExJoi.CustomValidator
+ExJoi.extend("credit_card", {
+  validate(value, _rule, _ctx) {
+    const cleaned = value.replace(/\\s/g, "");
+
+    if (!/^\\d{13,19}$/.test(cleaned)) {
+      return { ok: false, errors: [{ code: "credit_card", message: "must be 13-19 digits" }] };
     }
+    if (!luhnValid(cleaned)) {
+      return { ok: false, errors: [{ code: "credit_card", message: "invalid card number" }] };
+    }
+    return { ok: true, value: cleaned };
+  },
+});
+
+function luhnValid(number) {
+  const sum = number
+    .split("")
+    .reverse()
+    .map((digit, idx) => (idx % 2 === 1 ? Number(digit) * 2 : Number(digit)))
+    .map((n) => (n > 9 ? n - 9 : n))
+    .reduce((acc, n) => acc + n, 0);
+  return sum % 10 === 0;
+}`,
+    schema: `ExJoi.schema(%{
+  card: ExJoi.custom(:credit_card, required: true)
+})`,
+    payload: { card: "4242 4242 4242 4241" },
+  },
+  "cv-password": {
+    validator: `ExJoi.extend("strong_password", (value, { customOpts: opts }) => {
+  const minLength = opts.minLength ?? 8;
+  const requireUpper = opts.requireUpper ?? true;
+  const requireLower = opts.requireLower ?? true;
+  const requireNumber = opts.requireNumber ?? true;
+  const requireSpecial = opts.requireSpecial ?? false;
+
+  const errors = [];
+  if (value.length < minLength) errors.push(\`must be at least \${minLength} characters\`);
+  if (requireUpper && !/[A-Z]/.test(value)) errors.push("must contain an uppercase letter");
+  if (requireLower && !/[a-z]/.test(value)) errors.push("must contain a lowercase letter");
+  if (requireNumber && !/\\d/.test(value)) errors.push("must contain a number");
+  if (requireSpecial && !/[!@#$%^&*(),.?":{}|<>]/.test(value)) errors.push("must contain a special character");
+
+  if (errors.length === 0) return { ok: true, value };
+  return { ok: false, errors: errors.map((message) => ({ code: "strong_password", message })) };
+});`,
+    schema: `# custom/2 hands its whole option list to the validator as custom_opts
+ExJoi.schema(%{
+  password: ExJoi.custom(:strong_password, required: true, min_length: 12, require_special: true)
+})`,
+    payload: { password: "hunter2" },
+  },
+};
+
+function initCustomValidatorDemos() {
+  Object.entries(CUSTOM_VALIDATOR_DEMOS).forEach(([id, demo]) => {
+    const block = document.getElementById(id);
+    const card = block && block.closest(".code-card");
+    if (!card) return;
+
+    const panel = document.createElement("div");
+    panel.className = "rounded-3xl border border-slate-800 bg-slate-900/40 p-4 space-y-3";
+    panel.innerHTML = `
+      <p class="section-label">Try it in the browser</p>
+      <label class="block">
+        <span class="text-xs text-slate-400">Validator (JavaScript)</span>
+        <textarea data-role="validator" class="mt-1 w-full rounded-2xl border border-slate-700 bg-slate-950/60 p-3 font-mono text-xs" rows="10" spellcheck="false"></textarea>
+      </label>
+      <div class="playground-grid">
+        <label class="block">
+          <span class="text-xs text-slate-400">Schema (Elixir)</span>
+          <textarea data-role="schema" class="mt-1 w-full rounded-2xl border border-slate-700 bg-slate-950/60 p-3 font-mono text-xs" rows="5" spellcheck="false"></textarea>
+        </label>
+        <label class="block">
+          <span class="text-xs text-slate-400">Payload (JSON)</span>
+          <textarea data-role="payload" class="mt-1 w-full rounded-2xl border border-slate-700 bg-slate-950/60 p-3 font-mono text-xs" rows="5" spellcheck="false"></textarea>
+        </label>
+      </div>
+      <button type="button" class="rounded-2xl bg-gradient-to-r from-sky-500 to-emerald-400 px-4 py-1.5 text-sm font-semibold text-slate-950">Register &amp; validate</button>
+      <pre class="rounded-2xl border border-slate-800 bg-slate-950/70 p-3 text-xs whitespace-pre-wrap"></pre>
+    `;
+    card.insertAdjacentElement("afterend", panel);
+
+    const validatorInput = panel.querySelector('[data-role="validator"]');
+    const schemaInput = panel.querySelector('[data-role="schema"]');
+    const payloadInput = panel.querySelector('[data-role="payload"]');
+    const output = panel.querySelector("pre");
+    validatorInput.value = demo.validator;
+    schemaInput.value = demo.schema;
+    payloadInput.value = JSON.stringify(demo.payload, null, 2);
+
+    const run = () => {
+      try {
+        new Function("ExJoi", validatorInput.value)(ExJoi);
+      } catch (error) {
+        output.textContent = JSON.stringify({ status: "error", message: `Validator error: ${error.message}` }, null, 2);
+        return;
+      }
+      output.textContent = JSON.stringify(runLiveExample(schemaInput.value, payloadInput.value, false), null, 2);
+    };
+    panel.querySelector("button").addEventListener("click", run);
+    run();
   });
-  return flat;
 }
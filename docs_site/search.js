@@ -0,0 +1,235 @@
+// Offline full-text search: the index is built on first use by fetching every docs page listed in
+// NAV_PAGES and splitting it into sections and id'd code samples, so no hosted service is needed.
+
+const SEARCH_RESULT_LIMIT = 20;
+
+let searchIndexPromise = null;
+
+function initSearch() {
+  document.body.insertAdjacentHTML("beforeend", renderSearchDialog());
+  const trigger = document.getElementById("search-open");
+  const dialog = document.getElementById("search-dialog");
+  const input = document.getElementById("search-input");
+  const resultsList = document.getElementById("search-results");
+  const status = document.getElementById("search-status");
+
+  let matches = [];
+  let selected = 0;
+
+  function isOpen() {
+    return !dialog.classList.contains("hidden");
+  }
+
+  function open() {
+    dialog.classList.remove("hidden");
+    input.focus();
+    input.select();
+    update();
+  }
+
+  function close() {
+    dialog.classList.add("hidden");
+  }
+
+  function update() {
+    loadSearchIndex().then((index) => {
+      const terms = searchTerms(input.value);
+      matches = searchEntries(index.entries, terms);
+      selected = 0;
+      renderSearchResults(resultsList, matches, terms, selected);
+
+      const notes = [];
+      if (terms.length) notes.push(`${matches.length} result${matches.length === 1 ? "" : "s"}`);
+      if (index.failed.length) {
+        notes.push(`${index.failed.length} page(s) could not be indexed; serve the docs over http to search every page`);
+      }
+      status.textContent = notes.join(" · ") || `${index.entries.length} sections indexed`;
+    });
+  }
+
+  function move(step) {
+    if (!matches.length) return;
+    selected = (selected + step + matches.length) % matches.length;
+    renderSearchResults(resultsList, matches, searchTerms(input.value), selected);
+    resultsList.children[selected].scrollIntoView({ block: "nearest" });
+  }
+
+  trigger?.addEventListener("click", open);
+  input.addEventListener("input", update);
+  dialog.addEventListener("click", (event) => {
+    if (event.target === dialog) close();
+  });
+  // Links to the current page only change the hash, so the dialog has to be closed by hand
+  resultsList.addEventListener("click", (event) => {
+    if (event.target.closest("a")) close();
+  });
+
+  document.addEventListener("keydown", (event) => {
+    const typing = event.target.closest && event.target.closest("input, textarea, select, [contenteditable='true']");
+    const shortcut = (event.key === "k" && (event.ctrlKey || event.metaKey)) || (event.key === "/" && !typing);
+
+    if (!isOpen()) {
+      if (shortcut) {
+        event.preventDefault();
+        open();
+      }
+      return;
+    }
+
+    if (event.key === "Escape") {
+      close();
+    } else if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      move(event.key === "ArrowDown" ? 1 : -1);
+    } else if (event.key === "Enter" && matches[selected]) {
+      event.preventDefault();
+      resultsList.children[selected].querySelector("a").click();
+    }
+  });
+}
+
+function renderSearchDialog() {
+  return `
+    <div id="search-dialog" class="hidden fixed inset-0 z-[60] bg-black/60 backdrop-blur-sm px-4 pt-24">
+      <div class="mx-auto max-w-2xl rounded-3xl border border-slate-800 bg-slate-900 shadow-2xl shadow-black/50">
+        <div class="flex items-center space-x-3 border-b border-slate-800 px-5 py-4">
+          <svg class="w-5 h-5 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+          </svg>
+          <input id="search-input" type="search" autocomplete="off" spellcheck="false" placeholder="Search the docs, e.g. max_concurrency or string_pattern" class="flex-1 bg-transparent text-white placeholder-slate-500 focus:outline-none" />
+          <kbd class="rounded border border-slate-700 px-1.5 text-xs text-slate-500">Esc</kbd>
+        </div>
+        <ul id="search-results" class="max-h-[60vh] overflow-y-auto p-2 space-y-1"></ul>
+        <p id="search-status" class="border-t border-slate-800 px-5 py-2 text-xs text-slate-500">Building the search index…</p>
+      </div>
+    </div>
+  `;
+}
+
+function renderSearchResults(list, matches, terms, selected) {
+  list.innerHTML = matches
+    .map(({ entry }, index) => {
+      const active = index === selected ? "bg-slate-800" : "hover:bg-slate-800/60";
+      const context = [getPageTitle(entry.page), entry.context].filter(Boolean).join(" · ");
+      return `
+        <li>
+          <a href="${entry.page}#${encodeURIComponent(entry.anchor)}" class="block rounded-2xl px-4 py-3 ${active}">
+            <p class="text-xs text-slate-500">${escapeHtml(context)}</p>
+            <p class="font-semibold text-white">${highlightSearchTerms(entry.title, terms)}</p>
+            <p class="text-sm text-slate-400">${buildSearchSnippet(entry.text, terms)}</p>
+          </a>
+        </li>
+      `;
+    })
+    .join("");
+}
+
+function loadSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = Promise.all(NAV_PAGES.map((entry) => indexPage(entry.page))).then((pages) => ({
+      entries: pages.flatMap((page) => page.entries),
+      failed: pages.filter((page) => page.failed).map((page) => page.page),
+    }));
+  }
+  return searchIndexPromise;
+}
+
+async function indexPage(page) {
+  try {
+    const response = await fetch(page);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    const doc = new DOMParser().parseFromString(await response.text(), "text/html");
+    assignSectionAnchors(doc);
+    return { page, entries: extractSearchEntries(doc, page) };
+  } catch (error) {
+    // Browsers refuse fetch() for file:// URLs; the open page can still be read from the live DOM.
+    if (page === getCurrentPage()) return { page, entries: extractSearchEntries(document, page) };
+    return { page, entries: [], failed: true };
+  }
+}
+
+// One entry per <section> plus one per code sample with an id (`best-timeout`, `et-gettext`, ...).
+function extractSearchEntries(doc, page) {
+  const entries = [];
+  doc.querySelectorAll("main section[id]").forEach((section) => {
+    const heading = section.querySelector(".section-title, h1, h2");
+    const label = section.querySelector(".section-label");
+    const title = collapseWhitespace(heading ? heading.textContent : section.id);
+    entries.push({
+      page,
+      anchor: section.id,
+      title,
+      context: label ? collapseWhitespace(label.textContent) : "",
+      text: collapseWhitespace(section.textContent),
+    });
+
+    section.querySelectorAll("code[id]").forEach((code) => {
+      const caption = code.closest(".code-card")?.querySelector(".code-header span");
+      entries.push({
+        page,
+        anchor: code.id,
+        title: caption ? collapseWhitespace(caption.textContent) : code.id,
+        context: title,
+        text: collapseWhitespace(code.textContent),
+      });
+    });
+  });
+  return entries;
+}
+
+function searchTerms(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Every term has to match somewhere; titles and anchors weigh more than body text.
+function searchEntries(entries, terms) {
+  if (!terms.length) return [];
+  return entries
+    .map((entry) => ({ entry, score: scoreSearchEntry(entry, terms) }))
+    .filter((match) => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+function scoreSearchEntry(entry, terms) {
+  const title = entry.title.toLowerCase();
+  const anchor = entry.anchor.toLowerCase();
+  const context = entry.context.toLowerCase();
+  const text = entry.text.toLowerCase();
+
+  let score = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    if (title.includes(term)) termScore += 10;
+    if (anchor.includes(term)) termScore += 8;
+    if (context.includes(term)) termScore += 4;
+    termScore += Math.min(text.split(term).length - 1, 5);
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  return score;
+}
+
+function buildSearchSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const hits = terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0);
+  const start = Math.max(0, (hits.length ? Math.min(...hits) : 0) - 60);
+  const end = Math.min(text.length, start + 180);
+  const excerpt = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+  return highlightSearchTerms(excerpt, terms);
+}
+
+function highlightSearchTerms(text, terms) {
+  if (!terms.length) return escapeHtml(text);
+  const pattern = new RegExp(`(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`, "gi");
+  return text
+    .split(pattern)
+    .map((part, index) =>
+      index % 2 ? `<mark class="rounded bg-sky-400/20 px-0.5 text-sky-300">${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,172 @@
+// Golden-fixture parity runner: validates every fixture in test/fixtures/parity with the in-browser
+// engine and reports each field whose status, error codes, messages or coerced data differ from the
+// recorded ExJoi output. test/exjoi_test.exs asserts the same fixtures against ExJoi.Validator.
+// Schemas the DSL cannot express, such as `ExJoi.async/3` functions, add a `js_schema` built with
+// the JS builders next to the Elixir `schema`. Each fixture also runs through the module from
+// `generateValidatorModule`, except those whose custom types or async checks only run on the server.
+//
+//   node docs_site/test/parity.js [fixtures-dir]
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const DOCS_DIR = path.join(__dirname, "..");
+const DEFAULT_FIXTURES_DIR = path.join(DOCS_DIR, "..", "test", "fixtures", "parity");
+
+function loadEngine() {
+  const context = vm.createContext({ console, Intl });
+  ["engine.js", "dsl.js", "codegen.js"].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(DOCS_DIR, file), "utf8"), context, { filename: file });
+  });
+  const engine = vm.runInContext(
+    "({ ExJoi, parseExJoiSchema, listErrors, hasAsyncRules, collectCustomTypes, generateValidatorModule })",
+    context
+  );
+  return { ...engine, evaluate: (source) => vm.runInContext(`(${source})`, context) };
+}
+
+function loadFixtures(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => ({ name: path.basename(file, ".json"), ...JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")) }));
+}
+
+function fixtureSchema(engine, fixture) {
+  return fixture.js_schema ? engine.evaluate(fixture.js_schema) : engine.parseExJoiSchema(fixture.schema);
+}
+
+async function runFixture(engine, fixture) {
+  engine.ExJoi.resetConfig();
+  const schema = fixtureSchema(engine, fixture);
+  const result = await engine.ExJoi.validate(fixture.payload, schema, { convert: Boolean(fixture.convert) });
+  // Round-trip through JSON so values from the vm context compare like the fixture's own.
+  if (result.status === "ok") return { status: "ok", data: JSON.parse(JSON.stringify(result.data)) };
+  // The fixtures keep each flat path's codes next to `errors_flat`.
+  const errors = {};
+  engine.listErrors(result.errors).forEach(({ path: errorPath, code }) => {
+    errors[errorPath] = (errors[errorPath] || []).concat(code);
+  });
+  return {
+    status: "error",
+    errors,
+    errors_flat: JSON.parse(JSON.stringify(result.errors_flat)),
+  };
+}
+
+// Null when the schema needs the server; otherwise the module's result in the fixtures' shape.
+function runValidatorModule(engine, fixture) {
+  const schema = fixtureSchema(engine, fixture);
+  if (engine.hasAsyncRules(schema) || engine.collectCustomTypes(schema).length) return null;
+
+  // `export` is the only module syntax in the generated source, so it runs as a script.
+  const context = vm.createContext({});
+  const source = engine.generateValidatorModule(schema).replace(/^export /m, "");
+  vm.runInContext(source, context, { filename: `${fixture.name}.validator.js` });
+  const result = context.validate(JSON.parse(JSON.stringify(fixture.payload)), { convert: Boolean(fixture.convert) });
+  return JSON.parse(JSON.stringify(result.ok ? { status: "ok", data: result.value } : { status: "error", errors_flat: result.errors_flat }));
+}
+
+// The module reports `errors_flat` only, so failures are compared by path and message.
+function compareModuleResult(expected, actual) {
+  if (expected.status !== actual.status) return [`status: expected ${expected.status}, got ${actual.status}`];
+  if (expected.status === "ok") return compareData(expected.data, actual.data, []);
+
+  const paths = [...new Set([...Object.keys(expected.errors_flat), ...Object.keys(actual.errors_flat)])].sort();
+  return paths
+    .filter((fieldPath) => !sameList(expected.errors_flat[fieldPath] || [], actual.errors_flat[fieldPath] || []))
+    .map(
+      (fieldPath) =>
+        `${fieldPath}: expected messages ${formatList(expected.errors_flat[fieldPath] || [])}, got ${formatList(actual.errors_flat[fieldPath] || [])}`
+    );
+}
+
+function compareResults(expected, actual) {
+  if (expected.status !== actual.status) {
+    const describe = (result) => (result.status === "ok" ? "ok" : `error on ${Object.keys(result.errors).join(", ")}`);
+    return [`status: expected ${describe(expected)}, got ${describe(actual)}`];
+  }
+  if (expected.status === "ok") return compareData(expected.data, actual.data, []);
+
+  const divergences = [];
+  const paths = [...new Set([...Object.keys(expected.errors), ...Object.keys(actual.errors)])].sort();
+  paths.forEach((fieldPath) => {
+    const expectedCodes = expected.errors[fieldPath] || [];
+    const actualCodes = actual.errors[fieldPath] || [];
+    if (!sameList(expectedCodes, actualCodes)) {
+      divergences.push(`${fieldPath}: expected codes ${formatList(expectedCodes)}, got ${formatList(actualCodes)}`);
+      return;
+    }
+    const expectedMessages = (expected.errors_flat || {})[fieldPath];
+    const actualMessages = actual.errors_flat[fieldPath] || [];
+    if (expectedMessages && !sameList(expectedMessages, actualMessages)) {
+      divergences.push(`${fieldPath}: expected messages ${formatList(expectedMessages)}, got ${formatList(actualMessages)}`);
+    }
+  });
+  return divergences;
+}
+
+function compareData(expected, actual, segments) {
+  const label = segments.length ? segments.join(".") : "data";
+  const bothObjects = [expected, actual].every((value) => value !== null && typeof value === "object");
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    return expected === actual ? [] : [`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+  if (Array.isArray(expected) && expected.length !== actual.length) {
+    return [`${label}: expected ${expected.length} items, got ${actual.length}`];
+  }
+
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+  return keys.flatMap((key) => {
+    if (!(key in actual)) return [`${[...segments, key].join(".")}: missing from output`];
+    if (!(key in expected)) return [`${[...segments, key].join(".")}: unexpected in output`];
+    return compareData(expected[key], actual[key], [...segments, key]);
+  });
+}
+
+function sameList(left, right) {
+  return left.length === right.length && left.every((item, index) => item === right[index]);
+}
+
+function formatList(items) {
+  return `[${items.map((item) => JSON.stringify(item)).join(", ")}]`;
+}
+
+async function main() {
+  const dir = path.resolve(process.argv[2] || DEFAULT_FIXTURES_DIR);
+  const engine = loadEngine();
+  const fixtures = loadFixtures(dir);
+  let failed = 0;
+
+  for (const fixture of fixtures) {
+    let divergences;
+    try {
+      divergences = compareResults(fixture.expected, await runFixture(engine, fixture));
+    } catch (error) {
+      divergences = [`raised ${error.message}`];
+    }
+    try {
+      const moduleResult = runValidatorModule(engine, fixture);
+      if (moduleResult) {
+        divergences.push(...compareModuleResult(fixture.expected, moduleResult).map((divergence) => `validator module: ${divergence}`));
+      }
+    } catch (error) {
+      divergences.push(`validator module: raised ${error.message}`);
+    }
+
+    if (!divergences.length) {
+      console.log(`ok   ${fixture.name}`);
+      continue;
+    }
+    failed += 1;
+    console.log(`FAIL ${fixture.name}: ${fixture.description}`);
+    divergences.forEach((divergence) => console.log(`       ${divergence}`));
+  }
+
+  console.log(`\n${fixtures.length} fixtures, ${failed} diverging from ExJoi`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
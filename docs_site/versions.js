@@ -0,0 +1,19 @@
+// Docs versions manifest: every ExJoi release, newest first. Older doc sets load this file from the
+// site root too, so they learn about newer releases and can tell readers they are behind.
+// `site` is the folder holding that release's copy of these pages (relative to this file);
+// releases without one (`null`) point at their HexDocs instead.
+
+const DOC_VERSIONS = [
+  { version: "0.9.0", summary: "Async validation + parallel processing", site: "" },
+  { version: "0.8.0", summary: "Path-based error tree, message translator", site: null },
+  { version: "0.7.0", summary: "Custom validators, ExJoi.extend/2, error builder overrides", site: null },
+  { version: "0.6.0", summary: "Conditional rules with ExJoi.when/3", site: null },
+  { version: "0.5.0", summary: "Convert mode and the ISO date type", site: null },
+  { version: "0.4.0", summary: "Array validation and delimiter coercion", site: null },
+  { version: "0.3.0", summary: "Object schemas, nested validation, defaults", site: null },
+  { version: "0.2.0", summary: "Advanced constraints, truthy/falsy coercion, structured errors", site: null },
+  { version: "0.1.0", summary: "Foundational engine with basic types and required flags", site: null },
+];
+
+// Resolved from this script's own URL so the paths above work from any doc set and over file://.
+const DOC_VERSIONS_ROOT = document.currentScript ? new URL(".", document.currentScript.src).href : "";
@@ -33,7 +33,7 @@ defmodule ExJoi.Validator do
     data_with_defaults = apply_defaults(data, defaults)
 
     # Check if any field has async validation
-    has_async = Enum.any?(fields, fn {_field_name, rule} -> not is_nil(rule.async) end)
+    has_async = Enum.any?(fields, fn {_field_name, rule} -> rule_has_async?(rule) end)
 
     if has_async do
       validate_async(data_with_defaults, fields, convert, opts)
@@ -160,6 +160,18 @@ defmodule ExJoi.Validator do
     end
   end
 
+  # An async rule inside a `when` branch runs once the branch is resolved, like a top-level one.
+  defp validate_field_async(data, field_name, %Rule{type: :conditional, async: nil} = rule, convert, timeout) do
+    case resolve_conditional_rule(rule.conditional, data) || rule.conditional[:base] do
+      %Rule{async: async_fn} = effective_rule when not is_nil(async_fn) ->
+        required? = rule.required or effective_rule.required
+        validate_field_async(data, field_name, %Rule{effective_rule | required: required?}, convert, timeout)
+
+      _ ->
+        validate_field(data, field_name, rule, convert)
+    end
+  end
+
   defp validate_field_async(data, field_name, %Rule{async: nil} = rule, convert, _timeout) do
     validate_field(data, field_name, rule, convert)
   end
@@ -653,6 +665,14 @@ defmodule ExJoi.Validator do
     end
   end
 
+  defp rule_has_async?(%Rule{async: async_fn}) when not is_nil(async_fn), do: true
+
+  defp rule_has_async?(%Rule{type: :conditional, conditional: conditional}) do
+    Enum.any?([conditional[:then], conditional[:otherwise], conditional[:base]], &match?(%Rule{async: fun} when not is_nil(fun), &1))
+  end
+
+  defp rule_has_async?(_rule), do: false
+
   defp resolve_conditional_rule(nil, _data), do: nil
 
   defp resolve_conditional_rule(%{field: field, checks: checks, then: then_rule, otherwise: otherwise}, data) do
@@ -28,7 +28,8 @@ defmodule ExJoi.MixProject do
 
   defp deps do
     [
-      {:ex_doc, "~> 0.30", only: :dev, runtime: false}
+      {:ex_doc, "~> 0.30", only: :dev, runtime: false},
+      {:jason, "~> 1.4", only: :test}
     ]
   end
 
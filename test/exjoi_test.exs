@@ -627,4 +627,40 @@ defmodule ExJoiTest do
       assert Map.has_key?(errors, :_async_timeout) || Map.has_key?(errors, :field)
     end
   end
+
+  describe "golden parity fixtures" do
+    # The same fixtures are run against the docs site's JS engine by docs_site/test/parity.js.
+    for fixture_path <- Path.wildcard(Path.expand("fixtures/parity/*.json", __DIR__)) do
+      @external_resource fixture_path
+      @fixture_path fixture_path
+
+      test "matches #{Path.basename(fixture_path, ".json")}" do
+        fixture = @fixture_path |> File.read!() |> Jason.decode!()
+        {schema, _binding} = Code.eval_string(fixture["schema"])
+        result = ExJoi.validate(fixture["payload"], schema, convert: fixture["convert"])
+
+        assert parity_result(result) == fixture["expected"], fixture["description"]
+      end
+    end
+  end
+
+  # Puts a result in the fixture's JSON shape: data as Jason encodes it (dates become ISO8601
+  # strings) and errors as flat paths mapped to their codes, next to `errors_flat`.
+  defp parity_result({:ok, data}) do
+    %{"status" => "ok", "data" => data |> Jason.encode!() |> Jason.decode!()}
+  end
+
+  defp parity_result({:error, %{errors: errors, errors_flat: errors_flat}}) do
+    %{"status" => "error", "errors" => flatten_codes(errors, []), "errors_flat" => errors_flat}
+  end
+
+  defp flatten_codes(errors, path) when is_map(errors) do
+    Enum.reduce(errors, %{}, fn {key, value}, acc ->
+      Map.merge(acc, flatten_codes(value, path ++ [key]), fn _key, left, right -> left ++ right end)
+    end)
+  end
+
+  defp flatten_codes(errors, path) when is_list(errors) do
+    %{Enum.map_join(path, ".", &to_string/1) => Enum.map(errors, &Atom.to_string(&1.code))}
+  end
 end